@@ -0,0 +1,58 @@
+const { Validator } = require("./validator");
+
+const schema = {
+  type: "object",
+  required: ["id", "author", "tags"],
+  additionalProperties: false,
+  properties: {
+    id: { type: "number", minimum: 1 },
+    author: {
+      type: "object",
+      required: ["name", "email"],
+      properties: {
+        name: { type: "string", minLength: 1, maxLength: 64 },
+        email: { type: "string", format: "email" },
+      },
+    },
+    text: { type: "string", maxLength: 1000 },
+    tags: {
+      type: "array",
+      maxItems: 10,
+      uniqueItems: true,
+      items: { type: "string", pattern: /^[a-z-]+$/ },
+    },
+    status: { type: "string", enum: ["draft", "published", "archived"] },
+  },
+};
+const messages = Array.from({ length: 1000 }, (_, index) => ({
+  id: index + 1,
+  author: { name: `user${index}`, email: `user${index}@example.com` },
+  text: "Lorem ipsum dolor sit amet",
+  tags: ["news", "js", index % 2 === 0 ? "even" : "odd"],
+  status: index % 10 === 0 ? "unknown" : "published",
+}));
+
+const measure = (name, validate, rounds = 20) =>
+  ((start) => (
+    Array.from({ length: rounds }).forEach(() =>
+      messages.forEach((message) => validate(message))
+    ),
+    ((time) => (
+      console.log(
+        `${name}: ${Math.round(
+          (rounds * messages.length * 1000) / time
+        )} ops/sec`
+      ),
+      time
+    ))(Date.now() - start)
+  ))(Date.now());
+
+const validator = new Validator();
+const compiled = validator.compile(schema);
+
+const interpreted = measure("validate", (message) =>
+  validator.validate(schema, message)
+);
+const precompiled = measure("compile", compiled);
+
+console.log(`speedup: ${(interpreted / precompiled).toFixed(1)}x`);
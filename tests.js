@@ -21,7 +21,7 @@ describe('Validator', () => {
       }, 321);
 
       expect(isValid).toBeFalse();
-      expect(validator.Errors[0]).toBe('Unknown type');
+      expect(validator.Errors[0].message).toBe('Unknown type');
     });
 
     it('Должен добавлять ошибку, если значение null, но nullable - false', () => {
@@ -31,7 +31,48 @@ describe('Validator', () => {
       }, null);
 
       expect(isValid).toBeFalse();
-      expect(validator.Errors[0]).toBe('Value is null, but nullable false');
+      expect(validator.Errors[0].message).toBe('Value is null, but nullable false');
+    });
+
+    it('Должен проверять тип null', () => {
+      expect(validator.isValid({type: 'null'}, null)).toBeTrue();
+      expect(validator.isValid({type: 'null'}, 0)).toBeFalse();
+      expect(validator.Errors[0].message).toBe('Type is incorrect');
+    });
+
+    it('Должен проверять на соответствие одному из нескольких типов', () => {
+      const schema = {
+        type: ['string', 'number', 'null']
+      };
+
+      expect(validator.isValid(schema, 'qq')).toBeTrue();
+      expect(validator.isValid(schema, 1)).toBeTrue();
+      expect(validator.isValid(schema, null)).toBeTrue();
+    });
+
+    it('Должен добавлять ошибку со списком допустимых типов', () => {
+      const isValid = validator.isValid({
+        type: ['string', 'number']
+      }, true);
+
+      expect(isValid).toBeFalse();
+      expect(validator.Errors[0].keyword).toBe('type');
+      expect(validator.Errors[0].params).toEqual({type: ['string', 'number']});
+      expect(validator.Errors[0].message).toBe('Type is incorrect');
+    });
+
+    it('Должен добавлять ошибку, если в списке типов есть неизвестный', () => {
+      const isValid = validator.isValid({
+        type: ['string', 'test']
+      }, 'qq');
+
+      expect(isValid).toBeFalse();
+      expect(validator.Errors[0].message).toBe('Unknown type');
+    });
+
+    it('Должен учитывать nullable вместе со списком типов', () => {
+      expect(validator.isValid({type: ['string', 'number']}, null)).toBeFalse();
+      expect(validator.isValid({type: ['string', 'number'], nullable: true}, null)).toBeTrue();
     });
 
     it('Должен проверять на соответствие anyOf', () => {
@@ -62,7 +103,7 @@ describe('Validator', () => {
       }, []);
 
       expect(isValid).toBeFalse();
-      expect(validator.Errors[0]).toBe('None schemas are valid');
+      expect(validator.Errors[0].message).toBe('None schemas are valid');
     });
 
     it('Должен проверять на соответствие oneOf', () => {
@@ -99,7 +140,7 @@ describe('Validator', () => {
       }, {t: 1});
 
       expect(isValid).toBeFalse();
-      expect(validator.Errors[0]).toBe('More than one shema valid for this data');
+      expect(validator.Errors[0].message).toBe('More than one shema valid for this data');
     });
 
     it('Должен добавлять ошибку, если значение не соответствует ни одной схеме из oneOf', () => {
@@ -121,7 +162,192 @@ describe('Validator', () => {
       }, []);
 
       expect(isValid).toBeFalse();
-      expect(validator.Errors[0]).toBe('None schemas are valid');
+      expect(validator.Errors[0].message).toBe('None schemas are valid');
+    });
+
+    it('Должен проверять на соответствие allOf', () => {
+      const isValid = validator.isValid({
+        allOf: [
+          {
+            type: 'string'
+          },
+          {
+            minLength: 2
+          }
+        ]
+      }, 'qq');
+
+      expect(isValid).toBeTrue();
+    });
+
+    it('Должен добавлять ошибки всех схем из allOf, которым не соответствует значение', () => {
+      const isValid = validator.isValid({
+        allOf: [
+          {
+            type: 'string'
+          },
+          {
+            minLength: 3
+          },
+          {
+            pattern: /^\d+$/
+          }
+        ]
+      }, 'qq');
+
+      expect(isValid).toBeFalse();
+      expect(validator.Errors.map(({schemaPath}) => schemaPath)).toEqual([
+        '#/allOf/1/minLength',
+        '#/allOf/2/pattern'
+      ]);
+    });
+
+    it('Должен проверять остальные ключевые слова схемы вместе с oneOf', () => {
+      const isValid = validator.isValid({
+        type: 'object',
+        required: ['kind'],
+        oneOf: [
+          {
+            properties: {
+              kind: {
+                enum: ['card']
+              }
+            }
+          },
+          {
+            properties: {
+              kind: {
+                enum: ['cash']
+              }
+            }
+          }
+        ]
+      }, {});
+
+      expect(isValid).toBeFalse();
+      expect(validator.Errors.map(({keyword}) => keyword)).toEqual(['required', 'oneOf']);
+    });
+
+    it('Должен проверять одновременно oneOf и anyOf', () => {
+      const isValid = validator.isValid({
+        oneOf: [
+          {
+            type: 'string'
+          },
+          {
+            type: 'number'
+          }
+        ],
+        anyOf: [
+          {
+            minLength: 3
+          },
+          {
+            pattern: /^\d+$/
+          }
+        ]
+      }, 'qq');
+
+      expect(isValid).toBeFalse();
+      expect(validator.Errors.map(({keyword}) => keyword)).toEqual(['anyOf']);
+    });
+
+    it('Должен учитывать nullable во вложенных схемах комбинаторов', () => {
+      const isValid = validator.isValid({
+        anyOf: [
+          {
+            type: 'number'
+          },
+          {
+            type: 'string',
+            nullable: true
+          }
+        ]
+      }, null);
+
+      expect(isValid).toBeTrue();
+    });
+
+    it('Должен отклонять null, если тип указан рядом с комбинаторами', () => {
+      expect(validator.isValid({type: 'string', not: {enum: ['admin']}}, null)).toBeFalse();
+      expect(validator.Errors[0].keyword).toBe('nullable');
+      expect(validator.isValid({type: 'object', required: ['a'], not: {required: ['b']}}, null)).toBeFalse();
+      expect(validator.isValid({type: 'string', if: {minLength: 5}, then: {pattern: /^a/}}, null)).toBeFalse();
+      expect(validator.isValid({type: 'string', anyOf: [{nullable: true}]}, null)).toBeFalse();
+      expect(validator.isValid({not: {type: 'string'}}, null)).toBeFalse();
+      expect(validator.isValid({type: 'string', nullable: true, not: {enum: ['admin']}}, null)).toBeTrue();
+    });
+
+    it('Должен проверять ветку then, если значение соответствует if', () => {
+      const schema = {
+        type: 'object',
+        if: {
+          additionalProperties: true,
+          properties: {
+            paymentMethod: {
+              enum: ['card']
+            }
+          }
+        },
+        then: {
+          required: ['cardNumber']
+        },
+        else: {
+          required: ['iban']
+        }
+      };
+
+      expect(validator.isValid(schema, {paymentMethod: 'card', cardNumber: '4242'})).toBeTrue();
+      expect(validator.isValid(schema, {paymentMethod: 'card', iban: 'DE89'})).toBeFalse();
+      expect(validator.Errors.map(({schemaPath}) => schemaPath)).toEqual(['#/then/required', '#/if']);
+      expect(validator.Errors[1].params).toEqual({failingKeyword: 'then'});
+    });
+
+    it('Должен проверять ветку else, если значение не соответствует if', () => {
+      const schema = {
+        type: 'object',
+        if: {
+          additionalProperties: true,
+          properties: {
+            paymentMethod: {
+              enum: ['card']
+            }
+          }
+        },
+        then: {
+          required: ['cardNumber']
+        },
+        else: {
+          required: ['iban']
+        }
+      };
+
+      expect(validator.isValid(schema, {paymentMethod: 'bank', iban: 'DE89'})).toBeTrue();
+      expect(validator.isValid(schema, {paymentMethod: 'bank'})).toBeFalse();
+      expect(validator.Errors[0].schemaPath).toBe('#/else/required');
+      expect(validator.Errors[1].message).toBe('Value does not match the schema of the branch');
+    });
+
+    it('Должен проверять на несоответствие not', () => {
+      const isValid = validator.isValid({
+        not: {
+          enum: ['admin', 'root']
+        }
+      }, 'user');
+
+      expect(isValid).toBeTrue();
+    });
+
+    it('Должен добавлять ошибку, если значение соответствует схеме из not', () => {
+      const isValid = validator.isValid({
+        not: {
+          enum: ['admin', 'root']
+        }
+      }, 'root');
+
+      expect(isValid).toBeFalse();
+      expect(validator.Errors[0].keyword).toBe('not');
+      expect(validator.Errors[0].message).toBe('Value must not be valid against the schema');
     });
   });
 
@@ -144,7 +370,7 @@ describe('Validator', () => {
       }, '231');
 
       expect(isValid).toBeFalse();
-      expect(validator.Errors[0]).toBe('Type is incorrect');
+      expect(validator.Errors[0].message).toBe('Type is incorrect');
     });
 
     it('Должен проверять на минимальное значение', () => {
@@ -163,7 +389,7 @@ describe('Validator', () => {
       }, 1);
 
       expect(isValid).toBeFalse();
-      expect(validator.Errors[0]).toBe('Value is less than it can be');
+      expect(validator.Errors[0].message).toBe('Value is less than it can be');
     });
 
     it('Должен проверять на максимальное значение', () => {
@@ -182,7 +408,7 @@ describe('Validator', () => {
       }, 6);
 
       expect(isValid).toBeFalse();
-      expect(validator.Errors[0]).toBe('Value is greater than it can be');
+      expect(validator.Errors[0].message).toBe('Value is greater than it can be');
     });
 
     it('Должен проверять на соответствие возможным значениям', () => {
@@ -201,7 +427,98 @@ describe('Validator', () => {
       }, 4);
 
       expect(isValid).toBeFalse();
-      expect(validator.Errors[0]).toBe('The enum does not support value');
+      expect(validator.Errors[0].message).toBe('The enum does not support value');
+    });
+
+    it('Должен проверять на исключающий минимум', () => {
+      const schema = {
+        type: 'number',
+        exclusiveMinimum: 0
+      };
+
+      expect(validator.isValid(schema, 0.01)).toBeTrue();
+      expect(validator.isValid(schema, 0)).toBeFalse();
+      expect(validator.Errors[0]).toEqual({
+        instancePath: '',
+        schemaPath: '#/exclusiveMinimum',
+        keyword: 'exclusiveMinimum',
+        params: {exclusiveMinimum: 0},
+        message: 'Value must be greater than exclusive minimum'
+      });
+    });
+
+    it('Должен проверять на исключающий максимум', () => {
+      const schema = {
+        type: 'number',
+        exclusiveMaximum: 100
+      };
+
+      expect(validator.isValid(schema, 99.9)).toBeTrue();
+      expect(validator.isValid(schema, 100)).toBeFalse();
+      expect(validator.Errors[0].params).toEqual({exclusiveMaximum: 100});
+      expect(validator.Errors[0].message).toBe('Value must be less than exclusive maximum');
+    });
+
+    it('Должен проверять кратность', () => {
+      expect(validator.isValid({type: 'number', multipleOf: 3}, 9)).toBeTrue();
+      expect(validator.isValid({type: 'number', multipleOf: 3}, 10)).toBeFalse();
+      expect(validator.Errors[0].params).toEqual({multipleOf: 3});
+      expect(validator.Errors[0].message).toBe('Value must be a multiple of the given number');
+    });
+
+    it('Должен проверять кратность дробным числам', () => {
+      expect(validator.isValid({type: 'number', multipleOf: 0.1}, 0.3)).toBeTrue();
+      expect(validator.isValid({type: 'number', multipleOf: 0.01}, 19.99)).toBeTrue();
+      expect(validator.isValid({type: 'number', multipleOf: 0.05}, 1.15)).toBeTrue();
+      expect(validator.isValid({type: 'number', multipleOf: 0.1}, 0.35)).toBeFalse();
+    });
+
+    it('Должен проверять целые числа', () => {
+      expect(validator.isValid({type: 'integer'}, 42)).toBeTrue();
+      expect(validator.isValid({type: 'integer'}, 1.5)).toBeFalse();
+      expect(validator.Errors[0].message).toBe('Number is not an integer');
+      expect(validator.isValid({type: 'integer'}, '42')).toBeFalse();
+      expect(validator.Errors[0].message).toBe('Type is incorrect');
+    });
+
+    it('Должен добавлять ошибку, если число не конечное', () => {
+      expect(validator.isValid({type: 'number'}, NaN)).toBeFalse();
+      expect(validator.Errors[0].message).toBe('Number must be finite');
+      expect(validator.isValid({type: 'number'}, -Infinity)).toBeFalse();
+      expect(validator.isValid({type: 'integer'}, Infinity)).toBeFalse();
+      expect(validator.Errors.map(({message}) => message)).toEqual(['Number must be finite']);
+    });
+
+    it('Должен разрешать не конечные числа, если указан allowNonFinite', () => {
+      expect(validator.isValid({type: 'number', allowNonFinite: true}, Infinity)).toBeTrue();
+      expect(validator.isValid({type: 'number', allowNonFinite: true}, NaN)).toBeTrue();
+    });
+
+    it('Должен отклонять не конечные числа без указания типа', () => {
+      expect(validator.isValid({maximum: 5}, -Infinity)).toBeFalse();
+      expect(validator.Errors.map(({keyword}) => keyword)).toEqual(['allowNonFinite']);
+      expect(validator.isValid({}, NaN)).toBeFalse();
+      expect(validator.isValid({allowNonFinite: true}, NaN)).toBeTrue();
+      expect(validator.isValid({const: Infinity}, Infinity)).toBeTrue();
+      expect(validator.isValid({enum: [1, NaN]}, NaN)).toBeTrue();
+    });
+
+    it('Должен проверять числа-объекты по их значению', () => {
+      expect(validator.isValid({type: 'number'}, new Number(5))).toBeTrue();
+      expect(validator.isValid({type: 'number'}, new Number(Infinity))).toBeFalse();
+      expect(validator.Errors[0].message).toBe('Number must be finite');
+    });
+
+    it('Должен проверять, что целое число безопасное', () => {
+      const schema = {
+        type: 'integer',
+        safeInteger: true
+      };
+
+      expect(validator.isValid(schema, Number.MAX_SAFE_INTEGER)).toBeTrue();
+      expect(validator.isValid(schema, 2 ** 53)).toBeFalse();
+      expect(validator.Errors[0].keyword).toBe('safeInteger');
+      expect(validator.Errors[0].message).toBe('Integer is outside of the safe range');
     });
   });
 
@@ -224,7 +541,7 @@ describe('Validator', () => {
       }, true);
 
       expect(isValid).toBeFalse();
-      expect(validator.Errors[0]).toBe('Type is incorrect');
+      expect(validator.Errors[0].message).toBe('Type is incorrect');
     });
 
     it('Должен проверять максимальную длину', () => {
@@ -243,7 +560,7 @@ describe('Validator', () => {
       }, '123456');
 
       expect(isValid).toBeFalse();
-      expect(validator.Errors[0]).toBe('Too long string');
+      expect(validator.Errors[0].message).toBe('Too long string');
     });
 
     it('Должен проверять минимальную длину', () => {
@@ -262,7 +579,7 @@ describe('Validator', () => {
       }, '123');
 
       expect(isValid).toBeFalse();
-      expect(validator.Errors[0]).toBe('Too short string');
+      expect(validator.Errors[0].message).toBe('Too short string');
     });
 
     it('Должен проверять строку по регулярному выражению', () => {
@@ -281,7 +598,7 @@ describe('Validator', () => {
       }, 'uygu');
 
       expect(isValid).toBeFalse();
-      expect(validator.Errors[0]).toBe('String does not match pattern');
+      expect(validator.Errors[0].message).toBe('String does not match pattern');
     });
 
     it('Должен проверять на соответствие возможным значениям', () => {
@@ -300,7 +617,7 @@ describe('Validator', () => {
       }, 'ytr');
 
       expect(isValid).toBeFalse();
-      expect(validator.Errors[0]).toBe('The enum does not support value');
+      expect(validator.Errors[0].message).toBe('The enum does not support value');
     });
 
     describe('Форматы', () => {
@@ -338,7 +655,195 @@ describe('Validator', () => {
         }, 'sttrrr');
 
         expect(isValid).toBeFalse();
-        expect(validator.Errors[0]).toBe('Format of string is not valid');
+        expect(validator.Errors[0].message).toBe('Format of string is not valid');
+      });
+
+      it('Должен проверять дату по календарю', () => {
+        const schema = {
+          type: 'string',
+          format: 'date'
+        };
+
+        expect(validator.isValid(schema, '2020-02-29')).toBeTrue();
+        expect(validator.isValid(schema, '2000-02-29')).toBeTrue();
+        expect(validator.isValid(schema, '2021-02-29')).toBeFalse();
+        expect(validator.isValid(schema, '1900-02-29')).toBeFalse();
+        expect(validator.isValid(schema, '2021-02-31')).toBeFalse();
+        expect(validator.isValid(schema, '2021-04-31')).toBeFalse();
+        expect(validator.isValid(schema, '2021/02/03')).toBeFalse();
+      });
+
+      it('Должен проверять время', () => {
+        const schema = {
+          type: 'string',
+          format: 'time'
+        };
+
+        expect(validator.isValid(schema, '10:00:00Z')).toBeTrue();
+        expect(validator.isValid(schema, '10:00:00.123+05:30')).toBeTrue();
+        expect(validator.isValid(schema, '23:59:60Z')).toBeTrue();
+        expect(validator.isValid(schema, '02:59:60+03:00')).toBeTrue();
+        expect(validator.isValid(schema, '12:00:60Z')).toBeFalse();
+        expect(validator.isValid(schema, '10:00:00')).toBeFalse();
+        expect(validator.isValid(schema, '24:00:00Z')).toBeFalse();
+        expect(validator.isValid(schema, '10:00:00+24:00')).toBeFalse();
+      });
+
+      it('Должен проверять дату и время', () => {
+        const schema = {
+          type: 'string',
+          format: 'date-time'
+        };
+
+        expect(validator.isValid(schema, '2021-01-01T10:00:00+03:00')).toBeTrue();
+        expect(validator.isValid(schema, '2016-12-31T23:59:60Z')).toBeTrue();
+        expect(validator.isValid(schema, '2021-02-29T10:00:00Z')).toBeFalse();
+        expect(validator.isValid(schema, '2021-01-01T10:00Z')).toBeFalse();
+        expect(validator.isValid(schema, '2021-01-01')).toBeFalse();
+      });
+
+      it('Должен проверять продолжительность', () => {
+        const schema = {
+          type: 'string',
+          format: 'duration'
+        };
+
+        expect(validator.isValid(schema, 'P1Y2M3DT4H5M6S')).toBeTrue();
+        expect(validator.isValid(schema, 'PT36H')).toBeTrue();
+        expect(validator.isValid(schema, 'P2W')).toBeTrue();
+        expect(validator.isValid(schema, 'P')).toBeFalse();
+        expect(validator.isValid(schema, 'P1DT')).toBeFalse();
+        expect(validator.isValid(schema, 'P1Y1W')).toBeFalse();
+      });
+
+      it('Должен проверять URI', () => {
+        expect(validator.isValid({type: 'string', format: 'uri'}, 'https://example.com/a?b=c#d')).toBeTrue();
+        expect(validator.isValid({type: 'string', format: 'uri'}, 'http://[::1]:8080/')).toBeTrue();
+        expect(validator.isValid({type: 'string', format: 'uri'}, 'urn:isbn:0451450523')).toBeTrue();
+        expect(validator.isValid({type: 'string', format: 'uri'}, '/path')).toBeFalse();
+        expect(validator.isValid({type: 'string', format: 'uri'}, 'http://exa mple.com')).toBeFalse();
+        expect(validator.isValid({type: 'string', format: 'uri'}, 'http://a.com/%zz')).toBeFalse();
+        expect(validator.isValid({type: 'string', format: 'uri-reference'}, '../a/b?c')).toBeTrue();
+        expect(validator.isValid({type: 'string', format: 'uri-reference'}, '#frag')).toBeTrue();
+        expect(validator.isValid({type: 'string', format: 'uri-reference'}, 'a b')).toBeFalse();
+      });
+
+      it('Должен проверять имена хостов', () => {
+        expect(validator.isValid({type: 'string', format: 'hostname'}, 'example.com')).toBeTrue();
+        expect(validator.isValid({type: 'string', format: 'hostname'}, 'xn--e1afmkfd.xn--p1ai')).toBeTrue();
+        expect(validator.isValid({type: 'string', format: 'hostname'}, '-example.com')).toBeFalse();
+        expect(validator.isValid({type: 'string', format: 'hostname'}, `${'a'.repeat(64)}.com`)).toBeFalse();
+        expect(validator.isValid({type: 'string', format: 'hostname'}, 'пример.рф')).toBeFalse();
+        expect(validator.isValid({type: 'string', format: 'idn-hostname'}, 'пример.рф')).toBeTrue();
+        expect(validator.isValid({type: 'string', format: 'idn-hostname'}, 'a_b.com')).toBeFalse();
+      });
+
+      it('Должен проверять IP-адреса', () => {
+        expect(validator.isValid({type: 'string', format: 'ipv4'}, '192.168.0.1')).toBeTrue();
+        expect(validator.isValid({type: 'string', format: 'ipv4'}, '256.1.1.1')).toBeFalse();
+        expect(validator.isValid({type: 'string', format: 'ipv4'}, '01.1.1.1')).toBeFalse();
+        expect(validator.isValid({type: 'string', format: 'ipv6'}, '2001:db8::8a2e:370:7334')).toBeTrue();
+        expect(validator.isValid({type: 'string', format: 'ipv6'}, '::ffff:192.168.0.1')).toBeTrue();
+        expect(validator.isValid({type: 'string', format: 'ipv6'}, '1::2::3')).toBeFalse();
+        expect(validator.isValid({type: 'string', format: 'ipv6'}, '1:2:3:4:5:6:7')).toBeFalse();
+      });
+
+      it('Должен проверять email с национальными символами', () => {
+        expect(validator.isValid({type: 'string', format: 'idn-email'}, 'иван@пример.рф')).toBeTrue();
+        expect(validator.isValid({type: 'string', format: 'idn-email'}, 'i@tmn72.ru')).toBeTrue();
+        expect(validator.isValid({type: 'string', format: 'idn-email'}, 'a..b@c.ru')).toBeFalse();
+        expect(validator.isValid({type: 'string', format: 'idn-email'}, '@пример.рф')).toBeFalse();
+      });
+
+      it('Должен добавлять ошибку для неизвестного формата в строгом режиме', () => {
+        const schema = {
+          type: 'string',
+          format: 'phone'
+        };
+
+        expect(validator.isValid(schema, '123')).toBeTrue();
+        validator = new Validator({strict: true});
+        expect(validator.isValid(schema, '123')).toBeFalse();
+        expect(validator.Errors[0].keyword).toBe('format');
+        expect(validator.Errors[0].message).toBe('Unknown format');
+      });
+
+      it('Должен проверять форматы чисел', () => {
+        expect(validator.isValid({type: 'integer', format: 'int32'}, 2147483647)).toBeTrue();
+        expect(validator.isValid({type: 'integer', format: 'int32'}, 2147483648)).toBeFalse();
+        expect(validator.Errors[0].message).toBe('Format of number is not valid');
+        expect(validator.isValid({type: 'integer', format: 'int64'}, 2 ** 62)).toBeTrue();
+        expect(validator.isValid({type: 'integer', format: 'int64'}, 2 ** 63)).toBeFalse();
+        expect(validator.isValid({type: 'integer', format: 'int64'}, -(2 ** 63))).toBeTrue();
+        expect(validator.isValid({type: 'number', format: 'float'}, 1.5)).toBeTrue();
+        expect(validator.isValid({type: 'number', format: 'float'}, 1e39)).toBeFalse();
+        expect(validator.isValid({type: 'number', format: 'double'}, 1e39)).toBeTrue();
+      });
+
+      it('Должен добавлять пользовательские форматы', () => {
+        validator
+          .addFormat('slug', /^[a-z0-9-]+$/)
+          .addFormat('even', (value) => value % 2 === 0, {type: 'number'});
+
+        expect(validator.isValid({type: 'string', format: 'slug'}, 'my-post-1')).toBeTrue();
+        expect(validator.isValid({type: 'string', format: 'slug'}, 'My post')).toBeFalse();
+        expect(validator.isValid({type: 'number', format: 'even'}, 4)).toBeTrue();
+        expect(validator.isValid({type: 'number', format: 'even'}, 3)).toBeFalse();
+        expect(validator.isValid({format: 'even'}, 'abc')).toBeTrue();
+        expect(new Validator().isValid({type: 'string', format: 'slug'}, 'My post')).toBeTrue();
+      });
+
+      it('Должен заменять встроенные форматы', () => {
+        validator.addFormat('date', /^\d{2}\.\d{2}\.\d{4}$/);
+
+        expect(validator.isValid({type: 'string', format: 'date'}, '23.02.2019')).toBeTrue();
+        expect(validator.isValid({type: 'string', format: 'date'}, '2019-02-23')).toBeFalse();
+      });
+
+      it('Должен одинаково проверять форматы с флагами g и y при повторных вызовах', () => {
+        validator.addFormat('global', /a/g).addFormat('sticky', /a/y);
+
+        [1, 2, 3].forEach(() => {
+          expect(validator.isValid({type: 'string', format: 'global'}, 'a')).toBeTrue();
+          expect(validator.isValid({type: 'string', format: 'sticky'}, 'a')).toBeTrue();
+        });
+      });
+
+      it('Должен выбрасывать ошибку для некорректного формата', () => {
+        expect(() => validator.addFormat('slug', 'abc')).toThrowError('Format "slug" must be a regular expression or a function');
+        expect(() => validator.addFormat('slug', /a/, {type: 'date'})).toThrowError('Unknown type "date" of format "slug"');
+        expect(() => validator.addFormat('slug', /a/, {async: true})).toThrowError('Format "slug" must be a function to be async');
+      });
+
+      it('Должен проверять асинхронные форматы', async () => {
+        validator.addFormat('free-login', (login) => Promise.resolve(login !== 'admin'), {async: true});
+
+        const schema = {
+          type: 'string',
+          format: 'free-login'
+        };
+
+        expect(await validator.isValidAsync(schema, 'ivan')).toBeTrue();
+        expect(await validator.isValidAsync(schema, 'admin')).toBeFalse();
+        expect(validator.Errors[0].keyword).toBe('format');
+        expect(await validator.isValidAsync({not: schema}, 'admin')).toBeTrue();
+        expect(() => validator.isValid(schema, 'ivan')).toThrowError('Format "free-login" is async, use validateAsync');
+      });
+
+      it('Должен выбрасывать ошибку, если формат без async возвращает Promise', () => {
+        validator.addFormat('free-login', async (login) => login !== 'admin');
+
+        expect(() => validator.isValid({type: 'string', format: 'free-login'}, 'admin')).toThrowError('Format "free-login" is async, use validateAsync');
+      });
+
+      it('Должен возвращать отклонённый Promise, если асинхронный формат выбрасывает ошибку', async () => {
+        validator.addFormat('free-login', () => {
+          throw new Error('Service is unavailable');
+        }, {async: true});
+
+        const result = validator.isValidAsync({type: 'string', format: 'free-login'}, 'ivan');
+
+        await expectAsync(result).toBeRejectedWithError('Service is unavailable');
       });
     });
   });
@@ -371,7 +876,7 @@ describe('Validator', () => {
       }, []);
 
       expect(isValid).toBeFalse();
-      expect(validator.Errors[0]).toBe('Type is incorrect');
+      expect(validator.Errors[0].message).toBe('Type is incorrect');
     });
   });
 
@@ -403,7 +908,7 @@ describe('Validator', () => {
       }, {});
 
       expect(isValid).toBeFalse();
-      expect(validator.Errors[0]).toBe('Type is incorrect');
+      expect(validator.Errors[0].message).toBe('Type is incorrect');
     });
 
     it('Должен проверять на максимальное количество элементов', () => {
@@ -422,7 +927,7 @@ describe('Validator', () => {
       }, [1, 2, 3, 4]);
 
       expect(isValid).toBeFalse();
-      expect(validator.Errors[0]).toBe('Items count more than can be');
+      expect(validator.Errors[0].message).toBe('Items count more than can be');
     });
 
     it('Должен проверять на минимальное количество элементов', () => {
@@ -441,7 +946,7 @@ describe('Validator', () => {
       }, [1, 2, 3, 4]);
 
       expect(isValid).toBeFalse();
-      expect(validator.Errors[0]).toBe('Items count less than can be');
+      expect(validator.Errors[0].message).toBe('Items count less than can be');
     });
 
     it('Должен проверять тип элементов', () => {
@@ -464,7 +969,7 @@ describe('Validator', () => {
       }, [1, 2, 3, 4]);
 
       expect(isValid).toBeFalse();
-      expect(validator.Errors[0]).toBe('Type is incorrect');
+      expect(validator.Errors[0].message).toBe('Type is incorrect');
     });
 
     it('Должен проверять элементы на несколько типов', () => {
@@ -499,7 +1004,7 @@ describe('Validator', () => {
       }, [1, 2, 3, 4]);
 
       expect(isValid).toBeFalse();
-      expect(validator.Errors[0]).toBe('Must contain a value, but does not');
+      expect(validator.Errors[0].message).toBe('Must contain a value, but does not');
     });
 
     it('Должен проверять на уникальность элементов', () => {
@@ -518,7 +1023,32 @@ describe('Validator', () => {
       }, [{t: 'e'}, {t: 'e'}, 3, 4]);
 
       expect(isValid).toBeFalse();
-      expect(validator.Errors[0]).toBe('Elements of array not unique');
+      expect(validator.Errors[0].message).toBe('Elements of array not unique');
+    });
+
+    it('Должен указывать индексы первой пары одинаковых элементов', () => {
+      const schema = {
+        type: 'array',
+        uniqueItems: true
+      };
+
+      expect(validator.isValid(schema, [{id: 1, tags: ['a']}, 2, 3, 2, {tags: ['a'], id: 1}])).toBeFalse();
+      expect(validator.Errors.length).toBe(1);
+      expect(validator.Errors[0].keyword).toBe('uniqueItems');
+      expect(validator.Errors[0].params).toEqual({duplicateItems: [1, 3]});
+      expect(validator.isValid(schema, [1, '1', true, null, [1], {a: 1}])).toBeTrue();
+    });
+
+    it('Должен быстро проверять уникальность больших массивов', () => {
+      const ids = Array.from({length: 50000}, (_, index) => index);
+
+      expect(validator.isValid({type: 'array', uniqueItems: true}, ids)).toBeTrue();
+      expect(validator.isValid({type: 'array', uniqueItems: true}, [...ids, 49999])).toBeFalse();
+      expect(validator.Errors[0].params).toEqual({duplicateItems: [49999, 50000]});
+    });
+
+    it('Должен разрешать повторяющиеся элементы при uniqueItems: false', () => {
+      expect(validator.isValid({type: 'array', uniqueItems: false}, [1, 1])).toBeTrue();
     });
 
     it('Должен проверять на соответствие переданным значениям', () => {
@@ -537,58 +1067,234 @@ describe('Validator', () => {
       }, [765]);
 
       expect(isValid).toBeFalse();
-      expect(validator.Errors[0]).toBe('The enum does not support one of array elements');
-    });
-  });
-
-  describe('Объекты', () => {
-    beforeEach(() => {
-      validator = new Validator();
+      expect(validator.Errors[0].message).toBe('The enum does not support one of array elements');
     });
 
-    it('Должен проверять на null', () => {
-      const isValid = validator.isValid({
-        type: 'object',
-        nullable: true
-      }, null);
+    it('Должен проверять элементы кортежа по позициям', () => {
+      const schema = {
+        type: 'array',
+        prefixItems: [
+          {
+            type: 'number',
+            minimum: -90,
+            maximum: 90
+          },
+          {
+            type: 'number',
+            minimum: -180,
+            maximum: 180
+          }
+        ]
+      };
 
-      expect(isValid).toBeTrue();
+      expect(validator.isValid(schema, [55.75, 37.61])).toBeTrue();
+      expect(validator.isValid(schema, [55.75, 'east'])).toBeFalse();
+      expect(validator.Errors[0].instancePath).toBe('/1');
+      expect(validator.Errors[0].schemaPath).toBe('#/prefixItems/1/type');
     });
 
-    it('Должен проверять тип', () => {
+    it('Должен добавлять ошибку на каждый лишний элемент, если items равен false', () => {
       const isValid = validator.isValid({
-        type: 'object'
-      }, {});
+        type: 'array',
+        prefixItems: [
+          {
+            type: 'number'
+          },
+          {
+            type: 'number'
+          }
+        ],
+        items: false
+      }, [1, 2, 3, 4]);
 
-      expect(isValid).toBeTrue();
+      expect(isValid).toBeFalse();
+      expect(validator.Errors.map(({instancePath}) => instancePath)).toEqual(['/2', '/3']);
+      expect(validator.Errors[0].keyword).toBe('items');
+      expect(validator.Errors[0].params).toEqual({limit: 2});
+      expect(validator.Errors[0].message).toBe('An array cant have additional items');
     });
 
-    it('Должен добавлять ошибку, если тип неверный', () => {
-      const isValid = validator.isValid({
-        type: 'object'
-      }, []);
+    it('Должен проверять элементы после кортежа по схеме из items', () => {
+      const schema = {
+        type: 'array',
+        prefixItems: [
+          {
+            type: 'string',
+            enum: ['ok', 'error']
+          }
+        ],
+        items: {
+          type: 'object'
+        }
+      };
 
-      expect(isValid).toBeFalse();
-      expect(validator.Errors[0]).toBe('Type is incorrect');
+      expect(validator.isValid(schema, ['ok', {}, {}])).toBeTrue();
+      expect(validator.isValid(schema, ['ok', {}, 'payload'])).toBeFalse();
+      expect(validator.Errors[0].instancePath).toBe('/2');
+      expect(validator.Errors[0].schemaPath).toBe('#/items/type');
     });
 
-    it('Должен проверять на максимальное число свойств', () => {
-      const isValid = validator.isValid({
-        type: 'object',
-        maxProperties: 1
-      }, {e: 1});
+    it('Должен проверять элементы после кортежа по схеме из additionalItems', () => {
+      const schema = {
+        type: 'array',
+        prefixItems: [
+          {
+            type: 'string'
+          }
+        ],
+        additionalItems: {
+          type: 'number'
+        }
+      };
 
-      expect(isValid).toBeTrue();
+      expect(validator.isValid(schema, ['sum', 1, 2])).toBeTrue();
+      expect(validator.isValid(schema, ['sum', 1, '2'])).toBeFalse();
+      expect(validator.Errors[0].instancePath).toBe('/2');
+      expect(validator.Errors[0].schemaPath).toBe('#/additionalItems/type');
+      expect(validator.isValid({...schema, additionalItems: false}, ['sum', 1])).toBeFalse();
+      expect(validator.Errors[0].keyword).toBe('additionalItems');
     });
 
-    it('Должен добавлять ошибку, если количество свойств больше максимального', () => {
+    it('Должен проверять вхождение элемента, соответствующего схеме', () => {
+      const schema = {
+        type: 'array',
+        contains: {
+          type: 'object',
+          required: ['role'],
+          properties: {
+            role: {
+              const: 'admin'
+            }
+          }
+        }
+      };
+
+      expect(validator.isValid(schema, [{role: 'user'}, {role: 'admin'}])).toBeTrue();
+      expect(validator.isValid(schema, [{role: 'user'}])).toBeFalse();
+      expect(validator.Errors[0].keyword).toBe('contains');
+      expect(validator.Errors[0].message).toBe('Must contain a value, but does not');
+    });
+
+    it('Должен проверять вхождение объекта через const', () => {
+      const schema = {
+        type: 'array',
+        contains: {
+          const: {t: 'e'}
+        }
+      };
+
+      expect(validator.isValid(schema, [1, {t: 'e'}])).toBeTrue();
+      expect(validator.isValid(schema, [1, {t: 'q'}])).toBeFalse();
+    });
+
+    it('Должен проверять минимальное количество вхождений', () => {
+      const schema = {
+        type: 'array',
+        contains: {
+          type: 'number'
+        },
+        minContains: 2
+      };
+
+      expect(validator.isValid(schema, [1, 'a', 2])).toBeTrue();
+      expect(validator.isValid(schema, [1, 'a'])).toBeFalse();
+      expect(validator.Errors[0].keyword).toBe('minContains');
+      expect(validator.Errors[0].params).toEqual({minContains: 2, count: 1});
+      expect(validator.Errors[0].message).toBe('Array contains fewer matching items than required');
+      expect(validator.isValid({...schema, minContains: 0}, ['a'])).toBeTrue();
+    });
+
+    it('Должен проверять максимальное количество вхождений', () => {
+      const schema = {
+        type: 'array',
+        contains: {
+          type: 'object',
+          properties: {
+            primary: {
+              const: true
+            }
+          }
+        },
+        maxContains: 2
+      };
+
+      expect(validator.isValid(schema, [{primary: true}, {primary: true}])).toBeTrue();
+      expect(validator.isValid(schema, [{primary: true}, {primary: true}, {primary: true}])).toBeFalse();
+      expect(validator.Errors[0].keyword).toBe('maxContains');
+      expect(validator.Errors[0].params).toEqual({maxContains: 2, count: 3});
+      expect(validator.Errors[0].message).toBe('Array contains more matching items than allowed');
+    });
+
+    it('Должен проверять элементы, не проверенные другими ключевыми словами', () => {
+      const schema = {
+        type: 'array',
+        prefixItems: [{
+          type: 'string'
+        }],
+        allOf: [{
+          contains: {
+            type: 'number'
+          }
+        }],
+        unevaluatedItems: false
+      };
+
+      expect(validator.isValid(schema, ['sum', 1, 2])).toBeTrue();
+      expect(validator.isValid(schema, ['sum', 1, true])).toBeFalse();
+      expect(validator.Errors[0].keyword).toBe('unevaluatedItems');
+      expect(validator.Errors[0].params).toEqual({unevaluatedItem: 2});
+      expect(validator.Errors[0].message).toBe('An array cant have unevaluated items');
+    });
+  });
+
+  describe('Объекты', () => {
+    beforeEach(() => {
+      validator = new Validator();
+    });
+
+    it('Должен проверять на null', () => {
+      const isValid = validator.isValid({
+        type: 'object',
+        nullable: true
+      }, null);
+
+      expect(isValid).toBeTrue();
+    });
+
+    it('Должен проверять тип', () => {
+      const isValid = validator.isValid({
+        type: 'object'
+      }, {});
+
+      expect(isValid).toBeTrue();
+    });
+
+    it('Должен добавлять ошибку, если тип неверный', () => {
+      const isValid = validator.isValid({
+        type: 'object'
+      }, []);
+
+      expect(isValid).toBeFalse();
+      expect(validator.Errors[0].message).toBe('Type is incorrect');
+    });
+
+    it('Должен проверять на максимальное число свойств', () => {
+      const isValid = validator.isValid({
+        type: 'object',
+        maxProperties: 1
+      }, {e: 1});
+
+      expect(isValid).toBeTrue();
+    });
+
+    it('Должен добавлять ошибку, если количество свойств больше максимального', () => {
       const isValid = validator.isValid({
         type: 'object',
         maxProperties: 1
       }, {e: 1, r: 3});
 
       expect(isValid).toBeFalse();
-      expect(validator.Errors[0]).toBe('Too many properties in object');
+      expect(validator.Errors[0].message).toBe('Too many properties in object');
     });
 
     it('Должен проверять на минимальное число свойств', () => {
@@ -607,7 +1313,7 @@ describe('Validator', () => {
       }, {e: 1});
 
       expect(isValid).toBeFalse();
-      expect(validator.Errors[0]).toBe('Too few properties in object');
+      expect(validator.Errors[0].message).toBe('Too few properties in object');
     });
 
     it('Должен проверять на наличие обязательных свойств', () => {
@@ -626,7 +1332,48 @@ describe('Validator', () => {
       }, {e: 1});
 
       expect(isValid).toBeFalse();
-      expect(validator.Errors[0]).toBe('Property required, but value is undefined');
+      expect(validator.Errors[0].message).toBe('Property required, but value is undefined');
+    });
+
+    it('Должен перечислять все отсутствующие обязательные свойства', () => {
+      const isValid = validator.isValid({
+        type: 'object',
+        required: ['id', 'name', 'email']
+      }, {name: 'Ivan'});
+
+      expect(isValid).toBeFalse();
+      expect(validator.Errors.map(({params}) => params)).toEqual([{missingProperty: 'id'}, {missingProperty: 'email'}]);
+      expect(validator.Errors.map(({keyword}) => keyword)).toEqual(['required', 'required']);
+    });
+
+    it('Должен возвращать только первое отсутствующее свойство в режиме fail-fast', () => {
+      validator = new Validator({allErrors: false});
+
+      expect(validator.isValid({type: 'object', required: ['c', 'd']}, {})).toBeFalse();
+      expect(validator.Errors.map(({params}) => params)).toEqual([{missingProperty: 'c'}]);
+      expect(validator.isValid({type: 'object', dependentRequired: {a: ['c', 'd'], b: ['e']}}, {a: 1, b: 1})).toBeFalse();
+      expect(validator.Errors.map(({params}) => params)).toEqual([{property: 'a', missingProperties: ['c']}]);
+    });
+
+    it('Должен проверять только собственные свойства объекта', () => {
+      const schema = {
+        type: 'object',
+        required: ['toString']
+      };
+
+      expect(validator.isValid(schema, {})).toBeFalse();
+      expect(validator.isValid(schema, Object.assign(Object.create({name: 'Ivan'}), {toString: 1}))).toBeTrue();
+      expect(validator.isValid({...schema, required: ['name']}, Object.create({name: 'Ivan'}))).toBeFalse();
+    });
+
+    it('Должен считать свойство со значением undefined присутствующим', () => {
+      const schema = {
+        type: 'object',
+        required: ['name']
+      };
+
+      expect(validator.isValid(schema, {name: undefined})).toBeTrue();
+      expect(new Validator({undefinedAsMissing: true}).isValid(schema, {name: undefined})).toBeFalse();
     });
 
     it('Должен проверять свойства объекта', () => {
@@ -665,7 +1412,7 @@ describe('Validator', () => {
       }, {a: 'qwe', t: [1, []]});
 
       expect(isValid).toBeFalse();
-      expect(validator.Errors[0]).toBe('Type is incorrect');
+      expect(validator.Errors[0].message).toBe('Type is incorrect');
     });
 
     it('Должен проверять на дополнительные свойства', () => {
@@ -697,7 +1444,1128 @@ describe('Validator', () => {
       }, {e: 1, a: 'hi'});
 
       expect(isValid).toBeFalse();
-      expect(validator.Errors[0]).toBe('An object cant have additional properties');
+      expect(validator.Errors[0].message).toBe('An object cant have additional properties');
+    });
+
+    it('Должен проверять свойства с именами из Object.prototype', () => {
+      const schema = {
+        type: 'object',
+        properties: {
+          a: {
+            type: 'string'
+          }
+        },
+        additionalProperties: true
+      };
+
+      expect(validator.isValid(schema, {toString: 'x', constructor: 1})).toBeTrue();
+      expect(validator.isValid({...schema, additionalProperties: false}, {toString: 'x'})).toBeFalse();
+      expect(validator.Errors[0].params).toEqual({additionalProperty: 'toString'});
+    });
+
+    it('Должен проверять свойства по шаблонам имён', () => {
+      const schema = {
+        type: 'object',
+        patternProperties: {
+          '^title_[a-z]{2}$': {
+            type: 'string'
+          }
+        },
+        additionalProperties: false
+      };
+
+      expect(validator.isValid(schema, {title_en: 'Hello', title_ru: 'Привет'})).toBeTrue();
+      expect(validator.isValid(schema, {title_en: 1})).toBeFalse();
+      expect(validator.Errors[0].instancePath).toBe('/title_en');
+      expect(validator.Errors[0].schemaPath).toBe('#/patternProperties/^title_[a-z]{2}$/type');
+      expect(validator.isValid(schema, {title: 'Hello'})).toBeFalse();
+      expect(validator.Errors[0].keyword).toBe('additionalProperties');
+      expect(validator.Errors[0].params).toEqual({additionalProperty: 'title'});
+    });
+
+    it('Должен проверять имена свойств', () => {
+      const schema = {
+        type: 'object',
+        propertyNames: {
+          pattern: /^cpu\./
+        }
+      };
+
+      expect(validator.isValid(schema, {'cpu.user': 1, 'cpu.system': 2})).toBeTrue();
+      expect(validator.isValid(schema, {'cpu.user': 1, memory: 2})).toBeFalse();
+      expect(validator.Errors[0].keyword).toBe('pattern');
+      expect(validator.Errors[1].keyword).toBe('propertyNames');
+      expect(validator.Errors[1].params).toEqual({propertyName: 'memory'});
+      expect(validator.Errors[1].message).toBe('Property name is not valid');
+    });
+
+    it('Должен проверять дополнительные свойства по схеме', () => {
+      const schema = {
+        type: 'object',
+        properties: {
+          name: {
+            type: 'string'
+          }
+        },
+        additionalProperties: {
+          type: 'number'
+        }
+      };
+
+      expect(validator.isValid(schema, {name: 'cpu', user: 1, system: 2})).toBeTrue();
+      expect(validator.isValid(schema, {name: 'cpu', user: '1'})).toBeFalse();
+      expect(validator.Errors[0].instancePath).toBe('/user');
+      expect(validator.Errors[0].schemaPath).toBe('#/additionalProperties/type');
+    });
+
+    it('Должен поддерживать true и false в качестве схем свойств', () => {
+      const schema = {
+        type: 'object',
+        properties: {
+          id: true,
+          password: false
+        },
+        patternProperties: {
+          '^x-': true,
+          '^_': false
+        }
+      };
+
+      expect(validator.isValid(schema, {id: 1, 'x-trace': 'a'})).toBeTrue();
+      expect(validator.isValid(schema, {id: 1, password: 'qwerty'})).toBeFalse();
+      expect(validator.Errors[0].keyword).toBe('properties');
+      expect(validator.Errors[0].params).toEqual({forbiddenProperty: 'password'});
+      expect(validator.Errors[0].message).toBe('Property is not allowed');
+      expect(validator.isValid(schema, {_private: 1})).toBeFalse();
+      expect(validator.Errors[0].keyword).toBe('patternProperties');
+    });
+
+    it('Должен поддерживать true и false в качестве схемы имён свойств', () => {
+      expect(validator.isValid({type: 'object', propertyNames: true}, {a: 1})).toBeTrue();
+      expect(validator.isValid({type: 'object', propertyNames: false}, {})).toBeTrue();
+      expect(validator.isValid({type: 'object', propertyNames: false}, {a: 1})).toBeFalse();
+      expect(validator.Errors[0].keyword).toBe('propertyNames');
+      expect(validator.Errors[0].params).toEqual({propertyName: 'a'});
+    });
+
+    it('Должен выбрасывать ошибку для некорректного шаблона имён свойств', () => {
+      const schema = {
+        type: 'object',
+        patternProperties: {
+          '(': {
+            type: 'number'
+          }
+        }
+      };
+
+      expect(() => validator.isValid(schema, {})).toThrowError('Invalid pattern "(" in patternProperties');
+      expect(() => validator.compile(schema)).toThrowError('Invalid pattern "(" in patternProperties');
+    });
+
+    it('Должен проверять свойства, обязательные при наличии другого свойства', () => {
+      const schema = {
+        type: 'object',
+        dependentRequired: {
+          billingAddress: ['billingName', 'billingPhone']
+        }
+      };
+
+      expect(validator.isValid(schema, {name: 'Ivan'})).toBeTrue();
+      expect(validator.isValid(schema, {billingAddress: 'Moscow', billingName: 'Ivan', billingPhone: '1'})).toBeTrue();
+      expect(validator.isValid(schema, {billingAddress: 'Moscow', billingName: 'Ivan'})).toBeFalse();
+      expect(validator.Errors[0].keyword).toBe('dependentRequired');
+      expect(validator.Errors[0].params).toEqual({property: 'billingAddress', missingProperties: ['billingPhone']});
+      expect(validator.Errors[0].message).toBe('Property required by another property, but value is undefined');
+    });
+
+    it('Должен проверять объект по схеме при наличии свойства', () => {
+      const schema = {
+        type: 'object',
+        dependentSchemas: {
+          shipping: {
+            required: ['address']
+          }
+        }
+      };
+
+      expect(validator.isValid(schema, {})).toBeTrue();
+      expect(validator.isValid(schema, {shipping: true, address: 'Moscow'})).toBeTrue();
+      expect(validator.isValid(schema, {shipping: true})).toBeFalse();
+      expect(validator.Errors[0].schemaPath).toBe('#/dependentSchemas/shipping/required');
+      expect(validator.Errors[1].keyword).toBe('dependentSchemas');
+      expect(validator.Errors[1].params).toEqual({property: 'shipping'});
+    });
+
+    it('Должен учитывать свойства из составных схем', () => {
+      const schema = {
+        type: 'object',
+        properties: {
+          name: {
+            type: 'string'
+          }
+        },
+        allOf: [{
+          properties: {
+            id: {
+              type: 'number'
+            }
+          }
+        }],
+        unevaluatedProperties: false
+      };
+
+      expect(validator.isValid(schema, {id: 1, name: 'Ivan'})).toBeTrue();
+      expect(validator.isValid(schema, {id: 1, name: 'Ivan', age: 30})).toBeFalse();
+      expect(validator.Errors[0].keyword).toBe('unevaluatedProperties');
+      expect(validator.Errors[0].params).toEqual({unevaluatedProperty: 'age'});
+      expect(validator.Errors[0].message).toBe('An object cant have unevaluated properties');
+    });
+
+    it('Должен учитывать свойства из схемы по ссылке', () => {
+      const schema = {
+        $defs: {
+          base: {
+            type: 'object',
+            properties: {
+              a: {
+                type: 'number'
+              }
+            }
+          }
+        },
+        $ref: '#/$defs/base',
+        properties: {
+          b: {}
+        },
+        unevaluatedProperties: false
+      };
+
+      expect(validator.isValid(schema, {a: 1, b: 1})).toBeTrue();
+      expect(validator.isValid(schema, {a: 1, b: 1, c: 1})).toBeFalse();
+      expect(validator.Errors[0].keyword).toBe('unevaluatedProperties');
+      expect(validator.Errors[0].params).toEqual({unevaluatedProperty: 'c'});
+    });
+
+    it('Должен учитывать только свойства подходящих схем', () => {
+      const schema = {
+        type: 'object',
+        anyOf: [{
+          required: ['card'],
+          properties: {
+            card: {
+              type: 'string'
+            }
+          }
+        }, {
+          required: ['iban'],
+          properties: {
+            iban: {
+              type: 'string'
+            },
+            bic: {
+              type: 'string'
+            }
+          }
+        }],
+        if: {
+          required: ['card'],
+          properties: {
+            card: {
+              pattern: /^4/
+            }
+          }
+        },
+        then: {
+          properties: {
+            cvv: {
+              type: 'string'
+            }
+          }
+        },
+        unevaluatedProperties: {
+          type: 'boolean'
+        }
+      };
+
+      expect(validator.isValid(schema, {card: '4111', cvv: '123'})).toBeTrue();
+      expect(validator.isValid(schema, {iban: 'DE89', bic: 'COBA', cvv: '123'})).toBeFalse();
+      expect(validator.Errors[0].instancePath).toBe('/cvv');
+      expect(validator.Errors[0].schemaPath).toBe('#/unevaluatedProperties/type');
+      expect(validator.isValid(schema, {card: '5111', bic: 'COBA'})).toBeFalse();
+      expect(validator.Errors[0].instancePath).toBe('/bic');
+      expect(validator.isValid(schema, {card: '5111', verified: true})).toBeTrue();
+    });
+
+    it('Должен считать объектом объект без прототипа', () => {
+      const obj = Object.create(null);
+      obj.name = 'Ivan';
+
+      const isValid = validator.isValid({
+        type: 'object',
+        required: ['name'],
+        properties: {
+          name: {
+            type: 'string'
+          }
+        }
+      }, obj);
+
+      expect(isValid).toBeTrue();
+    });
+
+    it('Должен считать объектом экземпляр класса', () => {
+      class Point {
+        constructor(x) {
+          this.x = x;
+        }
+      }
+
+      const schema = {
+        type: 'object',
+        properties: {
+          x: {
+            type: 'number'
+          }
+        }
+      };
+
+      expect(validator.isValid(schema, new Point(1))).toBeTrue();
+      expect(validator.isValid(schema, new Point('1'))).toBeFalse();
+      expect(validator.Errors[0].instancePath).toBe('/x');
+    });
+
+    it('Должен проверять класс объекта', () => {
+      class Point {}
+      class Vector {}
+
+      expect(validator.isValid({instanceOf: Point}, new Point())).toBeTrue();
+      expect(validator.isValid({instanceOf: [Vector, Date]}, new Date())).toBeTrue();
+      expect(validator.isValid({instanceOf: [Vector, Date]}, new Point())).toBeFalse();
+      expect(validator.Errors[0].keyword).toBe('instanceOf');
+      expect(validator.Errors[0].params).toEqual({instanceOf: ['Vector', 'Date']});
+      expect(validator.Errors[0].message).toBe('Value is not an instance of the required class');
+    });
+  });
+
+  describe('Константы и перечисления', () => {
+    beforeEach(() => {
+      validator = new Validator();
+    });
+
+    it('Должен проверять на равенство константе', () => {
+      const isValid = validator.isValid({
+        type: 'string',
+        const: 'v2'
+      }, 'v2');
+
+      expect(isValid).toBeTrue();
+    });
+
+    it('Должен добавлять ошибку, если значение не равно константе', () => {
+      const isValid = validator.isValid({
+        type: 'string',
+        const: 'v2'
+      }, 'v1');
+
+      expect(isValid).toBeFalse();
+      expect(validator.Errors[0].keyword).toBe('const');
+      expect(validator.Errors[0].message).toBe('Value is not equal to the constant');
+    });
+
+    it('Должен сравнивать объекты и массивы с константой по значению', () => {
+      const schema = {
+        const: {a: [1, {b: true}], c: null}
+      };
+
+      expect(validator.isValid(schema, {a: [1, {b: true}], c: null})).toBeTrue();
+      expect(validator.isValid(schema, {a: [1, {b: false}], c: null})).toBeFalse();
+      expect(validator.isValid(schema, {a: [1, {b: true}]})).toBeFalse();
+    });
+
+    it('Должен проверять константы и перечисления для boolean', () => {
+      expect(validator.isValid({type: 'boolean', const: false}, false)).toBeTrue();
+      expect(validator.isValid({type: 'boolean', const: false}, 0)).toBeFalse();
+      expect(validator.isValid({type: 'boolean', enum: [true]}, true)).toBeTrue();
+      expect(validator.isValid({type: 'boolean', enum: [true]}, false)).toBeFalse();
+    });
+
+    it('Должен проверять перечисления объектов', () => {
+      const schema = {
+        type: 'object',
+        enum: [{kind: 'a'}, {kind: 'b'}]
+      };
+
+      expect(validator.isValid(schema, {kind: 'b'})).toBeTrue();
+      expect(validator.isValid(schema, {kind: 'c'})).toBeFalse();
+    });
+
+    it('Должен разрешать null, если он есть в константе или перечислении', () => {
+      expect(validator.isValid({const: null}, null)).toBeTrue();
+      expect(validator.isValid({const: null}, 0)).toBeFalse();
+      expect(validator.isValid({type: 'string', enum: ['a', null]}, null)).toBeTrue();
+      expect(validator.isValid({type: 'string', enum: ['a']}, null)).toBeFalse();
+    });
+
+    it('Должен сравнивать объекты без учёта порядка ключей в contains и uniqueItems', () => {
+      expect(validator.isValid({type: 'array', contains: {const: {a: 1, b: 2}}}, [{b: 2, a: 1}])).toBeTrue();
+      expect(validator.isValid({type: 'array', uniqueItems: true}, [{a: 1, b: 2}, {b: 2, a: 1}])).toBeFalse();
+      expect(validator.isValid({type: 'array', uniqueItems: true}, [1, new Number(1)])).toBeFalse();
+      expect(validator.isValid({type: 'array', uniqueItems: true}, [new String('a'), 'a'])).toBeFalse();
+    });
+
+    describe('Сравнение значений', () => {
+      const cyclic = (value) => {
+        const obj = {value};
+        obj.self = obj;
+
+        return obj;
+      };
+
+      [
+        ['объекты с разным порядком ключей', {a: 1, b: 2}, {b: 2, a: 1}, true],
+        ['вложенные объекты', {a: {b: [1, {c: 2}]}}, {a: {b: [1, {c: 2}]}}, true],
+        ['свойство undefined и отсутствующее свойство', {a: 1, b: undefined}, {a: 1}, false],
+        ['свойства undefined', {a: undefined}, {a: undefined}, true],
+        ['NaN', NaN, NaN, true],
+        ['0 и -0', 0, -0, true],
+        ['массивы с NaN', [NaN], [NaN], true],
+        ['пустой элемент и undefined', [, 1], [undefined, 1], true],
+        ['массивы разной длины', [1, 2], [1, 2, 3], false],
+        ['массив и объект', [1], {0: 1}, false],
+        ['число и строка', 1, '1', false],
+        ['число и объект Number', 1, new Number(1), true],
+        ['объект Number и число', new Number(1), 1, true],
+        ['строка и объект String', 'a', new String('a'), true],
+        ['объект String и строка', new String('a'), 'a', true],
+        ['объект Boolean и другое значение', new Boolean(false), true, false],
+        ['одинаковые даты', new Date(0), new Date(0), true],
+        ['разные даты', new Date(0), new Date(1), false],
+        ['регулярные выражения', /a/g, /a/g, true],
+        ['Map с разным порядком', new Map([['a', 1], ['b', 2]]), new Map([['b', 2], ['a', 1]]), true],
+        ['Map с разными значениями', new Map([['a', 1]]), new Map([['a', 2]]), false],
+        ['Map с ключами-объектами', new Map([[{id: 1}, 'x']]), new Map([[{id: 1}, 'x']]), true],
+        ['Set с разным порядком', new Set([1, 2]), new Set([2, 1]), true],
+        ['Set с объектами', new Set([{id: 1}]), new Set([{id: 1}]), true],
+        ['Set с разными значениями', new Set([1]), new Set([2]), false],
+        ['Set с повторяющимися объектами', new Set([{a: 1}, {a: 1}]), new Set([{a: 1}, {b: 2}]), false],
+        ['Set с повторяющимися объектами в обратном порядке', new Set([{a: 1}, {b: 2}]), new Set([{a: 1}, {a: 1}]), false],
+        ['Map с повторяющимися ключами-объектами', new Map([[{a: 1}, 1], [{a: 1}, 1]]), new Map([[{a: 1}, 1], [{b: 2}, 1]]), false],
+        ['Map с повторяющимися ключами-объектами в обратном порядке', new Map([[{a: 1}, 1], [{b: 2}, 1]]), new Map([[{a: 1}, 1], [{a: 1}, 1]]), false],
+        ['типизированные массивы', new Uint8Array([1, 2]), new Uint8Array([1, 2]), true],
+        ['типизированные массивы разных типов', new Uint8Array([1, 2]), new Int8Array([1, 2]), false],
+        ['типизированный массив и массив', new Uint8Array([1, 2]), [1, 2], false],
+        ['ArrayBuffer', new Uint8Array([1, 2]).buffer, new Uint8Array([1, 2]).buffer, true],
+        ['циклические объекты', cyclic(1), cyclic(1), true],
+        ['разные циклические объекты', cyclic(1), cyclic(2), false]
+      ].forEach(([name, first, second, expected]) => {
+        it(`Должен сравнивать ${name}`, () => {
+          expect(validator.isValid({enum: [first]}, second)).toBe(expected);
+        });
+      });
+    });
+  });
+
+  describe('Ошибки', () => {
+    beforeEach(() => {
+      validator = new Validator();
+    });
+
+    it('Должен возвращать объект ошибки с ключевым словом и параметрами', () => {
+      const isValid = validator.isValid({
+        type: 'string',
+        minLength: 5
+      }, 'abc');
+
+      expect(isValid).toBeFalse();
+      expect(validator.Errors[0]).toEqual({
+        instancePath: '',
+        schemaPath: '#/minLength',
+        keyword: 'minLength',
+        params: {minLength: 5},
+        message: 'Too short string'
+      });
+    });
+
+    it('Должен указывать путь до вложенного значения с ошибкой', () => {
+      const isValid = validator.isValid({
+        type: 'object',
+        properties: {
+          t: {
+            type: 'array',
+            items: {
+              type: 'number'
+            }
+          }
+        }
+      }, {t: [1, []]});
+
+      expect(isValid).toBeFalse();
+      expect(validator.Errors[0].instancePath).toBe('/t/1');
+      expect(validator.Errors[0].schemaPath).toBe('#/properties/t/items/type');
+      expect(validator.Errors[0].keyword).toBe('type');
+    });
+
+    it('Должен экранировать спецсимволы в путях', () => {
+      const isValid = validator.isValid({
+        type: 'object',
+        properties: {
+          'a/b~c': {
+            type: 'number'
+          }
+        }
+      }, {'a/b~c': 'qq'});
+
+      expect(isValid).toBeFalse();
+      expect(validator.Errors[0].instancePath).toBe('/a~1b~0c');
+      expect(validator.Errors[0].schemaPath).toBe('#/properties/a~1b~0c/type');
+    });
+
+    it('Должен возвращать ошибки всех схем из items, если элемент не подходит ни к одной', () => {
+      const isValid = validator.isValid({
+        type: 'array',
+        items: [
+          {
+            type: 'number'
+          },
+          {
+            type: 'string'
+          }
+        ]
+      }, [1, true]);
+
+      expect(isValid).toBeFalse();
+      expect(validator.Errors.map(({schemaPath}) => schemaPath)).toEqual([
+        '#/items/0/type',
+        '#/items/1/type'
+      ]);
+      expect(validator.Errors.every(({instancePath}) => instancePath === '/1')).toBeTrue();
+    });
+
+    it('Должен собирать ошибки всех вложенных свойств и элементов', () => {
+      const isValid = validator.isValid({
+        type: 'object',
+        properties: {
+          name: {
+            type: 'string',
+            minLength: 2
+          },
+          age: {
+            type: 'number',
+            minimum: 0
+          },
+          tags: {
+            type: 'array',
+            items: {
+              type: 'string'
+            }
+          }
+        }
+      }, {name: 'a', age: -1, tags: ['ok', 1, false]});
+
+      expect(isValid).toBeFalse();
+      expect(validator.Errors.map(({instancePath}) => instancePath)).toEqual([
+        '/name',
+        '/age',
+        '/tags/1',
+        '/tags/2'
+      ]);
+    });
+
+    it('Должен останавливаться на первой ошибке в режиме fail-fast', () => {
+      validator = new Validator({allErrors: false});
+
+      const isValid = validator.isValid({
+        type: 'object',
+        minProperties: 5,
+        properties: {
+          name: {
+            type: 'string',
+            minLength: 2
+          },
+          age: {
+            type: 'number',
+            minimum: 0
+          }
+        }
+      }, {name: 'a', age: -1});
+
+      expect(isValid).toBeFalse();
+      expect(validator.Errors.length).toBe(1);
+      expect(validator.Errors[0].keyword).toBe('minProperties');
+    });
+
+    it('Должен возвращать одну ошибку в режиме fail-fast для составных проверок', () => {
+      validator = new Validator({allErrors: false});
+
+      expect(validator.isValid({type: 'array', items: [{type: 'string'}, {type: 'number'}]}, [true])).toBeFalse();
+      expect(validator.Errors.length).toBe(1);
+      expect(validator.isValid({if: {type: 'string'}, then: {minLength: 3}}, 'ab')).toBeFalse();
+      expect(validator.Errors.length).toBe(1);
+      expect(validator.isValid({type: 'object', propertyNames: {maxLength: 1}}, {ab: 1})).toBeFalse();
+      expect(validator.Errors.length).toBe(1);
+      expect(validator.isValid({type: 'object', dependentSchemas: {a: {required: ['b']}}}, {a: 1})).toBeFalse();
+      expect(validator.Errors.length).toBe(1);
+    });
+  });
+
+  describe('Ссылки', () => {
+    beforeEach(() => {
+      validator = new Validator();
+    });
+
+    it('Должен проверять по схеме из definitions', () => {
+      const isValid = validator.isValid({
+        definitions: {
+          money: {
+            type: 'number',
+            minimum: 0
+          }
+        },
+        type: 'object',
+        properties: {
+          price: {
+            $ref: '#/definitions/money'
+          }
+        }
+      }, {price: 10});
+
+      expect(isValid).toBeTrue();
+    });
+
+    it('Должен добавлять ошибку из схемы, на которую указывает ссылка', () => {
+      const isValid = validator.isValid({
+        $defs: {
+          money: {
+            type: 'number',
+            minimum: 0
+          }
+        },
+        type: 'object',
+        properties: {
+          price: {
+            $ref: '#/$defs/money'
+          }
+        }
+      }, {price: -10});
+
+      expect(isValid).toBeFalse();
+      expect(validator.Errors[0].instancePath).toBe('/price');
+      expect(validator.Errors[0].schemaPath).toBe('#/$defs/money/minimum');
+      expect(validator.Errors[0].message).toBe('Value is less than it can be');
+    });
+
+    it('Должен поддерживать экранированные ссылки', () => {
+      const isValid = validator.isValid({
+        $defs: {
+          'a/b': {
+            type: 'string'
+          }
+        },
+        $ref: '#/$defs/a~1b'
+      }, 5);
+
+      expect(isValid).toBeFalse();
+      expect(validator.Errors[0].message).toBe('Type is incorrect');
+    });
+
+    it('Должен проверять рекурсивные схемы', () => {
+      const schema = {
+        $defs: {
+          comment: {
+            type: 'object',
+            properties: {
+              text: {
+                type: 'string'
+              },
+              replies: {
+                type: 'array',
+                items: {
+                  $ref: '#/$defs/comment'
+                }
+              }
+            }
+          }
+        },
+        $ref: '#/$defs/comment'
+      };
+
+      expect(validator.isValid(schema, {
+        text: 'a',
+        replies: [{text: 'b', replies: [{text: 'c'}]}]
+      })).toBeTrue();
+      expect(validator.isValid(schema, {
+        text: 'a',
+        replies: [{text: 'b', replies: [{text: 1}]}]
+      })).toBeFalse();
+      expect(validator.Errors[0].instancePath).toBe('/replies/0/replies/0/text');
+    });
+
+    it('Должен завершаться на циклических ссылках и данных', () => {
+      const data = {};
+      data.self = data;
+
+      expect(validator.isValid({
+        $defs: {
+          a: {
+            $ref: '#/$defs/b'
+          },
+          b: {
+            $ref: '#/$defs/a'
+          }
+        },
+        $ref: '#/$defs/a'
+      }, 1)).toBeTrue();
+      expect(validator.isValid({
+        type: 'object',
+        properties: {
+          self: {
+            $ref: '#'
+          }
+        }
+      }, data)).toBeTrue();
+    });
+
+    it('Должен проверять ключевые слова рядом со ссылкой', () => {
+      const isValid = validator.isValid({
+        $defs: {
+          name: {
+            type: 'string'
+          }
+        },
+        $ref: '#/$defs/name',
+        maxLength: 3
+      }, 'qwerty');
+
+      expect(isValid).toBeFalse();
+      expect(validator.Errors[0].keyword).toBe('maxLength');
+    });
+
+    it('Должен добавлять ошибку, если ссылку невозможно разрешить', () => {
+      const isValid = validator.isValid({
+        $ref: '#/$defs/missing'
+      }, 1);
+
+      expect(isValid).toBeFalse();
+      expect(validator.Errors[0]).toEqual({
+        instancePath: '',
+        schemaPath: '#/$ref',
+        keyword: '$ref',
+        params: {$ref: '#/$defs/missing'},
+        message: 'Reference can not be resolved'
+      });
+    });
+
+    it('Должен добавлять ошибку, если ссылка содержит некорректное экранирование', () => {
+      const isValid = validator.isValid({
+        definitions: {
+          'undefined': {}
+        },
+        $ref: '#/definitions/%E0'
+      }, 1);
+
+      expect(isValid).toBeFalse();
+      expect(validator.Errors[0].keyword).toBe('$ref');
+      expect(validator.Errors[0].params).toEqual({$ref: '#/definitions/%E0'});
+      expect(validator.Errors[0].message).toBe('Reference can not be resolved');
+    });
+
+    it('Должен проверять схемы, ссылающиеся на себя через объекты', () => {
+      const schema = {
+        $id: 'http://example.com/schemas/tree.json',
+        type: 'object',
+        properties: {}
+      };
+      schema.properties.child = schema;
+
+      expect(validator.isValid(schema, {child: {}})).toBeTrue();
+      expect(validator.isValid(schema, {child: {child: 1}})).toBeFalse();
+      expect(validator.Errors[0].instancePath).toBe('/child/child');
+      expect(validator.compile(schema)({child: {child: {}}}).isValid).toBeTrue();
+      expect(() => validator.generate(schema)).toThrowError('Can not generate code for a cyclic schema');
+      expect(validator.addSchema(schema).isValid('http://example.com/schemas/tree.json', {child: {}})).toBeTrue();
+    });
+  });
+
+  describe('Реестр схем', () => {
+    beforeEach(() => {
+      validator = new Validator();
+      validator.addSchema({
+        $id: 'http://example.com/schemas/address.json',
+        type: 'object',
+        required: ['city'],
+        properties: {
+          city: {
+            type: 'string'
+          }
+        }
+      });
+    });
+
+    it('Должен проверять по идентификатору схемы', () => {
+      expect(validator.isValid('http://example.com/schemas/address.json', {city: 'Moscow'})).toBeTrue();
+      expect(validator.isValid('http://example.com/schemas/address.json', {city: 1})).toBeFalse();
+      expect(validator.Errors[0].instancePath).toBe('/city');
+    });
+
+    it('Должен проверять по идентификатору схемы в validate и validateAsync', async () => {
+      expect(validator.validate('http://example.com/schemas/address.json', {city: 'Moscow'}).isValid).toBeTrue();
+      expect(validator.validate('http://example.com/schemas/address.json', 1).isValid).toBeFalse();
+
+      const {errors} = await validator.validateAsync('http://example.com/schemas/address.json', {city: 1});
+
+      expect(errors[0].instancePath).toBe('/city');
+    });
+
+    it('Должен разрешать относительные ссылки между схемами', () => {
+      validator.addSchema({
+        type: 'object',
+        properties: {
+          address: {
+            $ref: 'address.json'
+          }
+        }
+      }, 'http://example.com/schemas/user.json');
+
+      expect(validator.isValid('http://example.com/schemas/user.json', {address: {city: 'Moscow'}})).toBeTrue();
+      expect(validator.isValid('http://example.com/schemas/user.json', {address: {}})).toBeFalse();
+      expect(validator.Errors[0].keyword).toBe('required');
+      expect(validator.Errors[0].schemaPath).toBe('http://example.com/schemas/address.json#/required');
+    });
+
+    it('Должен разрешать ссылки на вложенные схемы с $id', () => {
+      const isValid = validator.isValid({
+        $id: 'http://example.com/schemas/order.json',
+        type: 'object',
+        properties: {
+          price: {
+            $ref: 'money.json'
+          },
+          items: {
+            $id: 'money.json',
+            type: 'number',
+            minimum: 0
+          }
+        }
+      }, {price: -1});
+
+      expect(isValid).toBeFalse();
+      expect(validator.Errors[0].keyword).toBe('minimum');
+    });
+
+    it('Должен выбрасывать исключение при добавлении схемы с существующим идентификатором', () => {
+      expect(() => validator.addSchema({type: 'string'}, 'http://example.com/schemas/address.json'))
+        .toThrowError('Schema with id "http://example.com/schemas/address.json" already exists');
+    });
+
+    it('Должен удалять и заменять схемы', () => {
+      validator.replaceSchema({
+        $id: 'http://example.com/schemas/address.json',
+        type: 'string'
+      });
+
+      expect(validator.isValid('http://example.com/schemas/address.json', 'Moscow')).toBeTrue();
+
+      validator.removeSchema('http://example.com/schemas/address.json');
+
+      expect(validator.isValid('http://example.com/schemas/address.json', 'Moscow')).toBeFalse();
+      expect(validator.Errors[0].message).toBe('Reference can not be resolved');
+    });
+
+    it('Должен сохранять исходную схему при неудачной замене', () => {
+      validator.addSchema({type: 'number'}, 'http://example.com/schemas/price.json');
+
+      expect(() => validator.replaceSchema({
+        $id: 'http://example.com/schemas/address.json',
+        $defs: {
+          price: {
+            $id: 'price.json',
+            type: 'string'
+          }
+        }
+      })).toThrowError('Schema with id "http://example.com/schemas/price.json" already exists');
+
+      expect(validator.isValid('http://example.com/schemas/address.json', {city: 'Moscow'})).toBeTrue();
+      expect(validator.isValid('http://example.com/schemas/address.json', {})).toBeFalse();
+      expect(validator.Errors[0].keyword).toBe('required');
+    });
+
+    it('Должен выбрасывать исключение при повторяющихся $id внутри одной схемы', () => {
+      expect(() => validator.addSchema({
+        $id: 'http://example.com/schemas/a.json',
+        $defs: {
+          x: {
+            $id: 'http://example.com/schemas/a.json'
+          }
+        }
+      })).toThrowError('Schema with id "http://example.com/schemas/a.json" already exists');
+      expect(() => validator.isValid({
+        $defs: {
+          x: {$id: 'http://example.com/schemas/b.json'},
+          y: {$id: 'http://example.com/schemas/b.json'}
+        }
+      }, 1)).toThrowError('Schema with id "http://example.com/schemas/b.json" already exists');
+    });
+
+    it('Должен выбрасывать исключение при удалении вложенной или незарегистрированной схемы', () => {
+      validator.addSchema({
+        $id: 'http://example.com/schemas/order.json',
+        $defs: {
+          money: {
+            $id: 'money.json',
+            type: 'number'
+          }
+        }
+      });
+
+      expect(() => validator.removeSchema('http://example.com/schemas/money.json'))
+        .toThrowError('Schema with id "http://example.com/schemas/money.json" is embedded in "http://example.com/schemas/order.json", remove "http://example.com/schemas/order.json" instead');
+      expect(() => validator.removeSchema('http://example.com/schemas/missing.json'))
+        .toThrowError('Schema with id "http://example.com/schemas/missing.json" is not registered');
+      expect(validator.isValid('http://example.com/schemas/money.json', 1)).toBeTrue();
+    });
+  });
+
+  describe('Компиляция', () => {
+    const schema = {
+      type: 'object',
+      required: ['name'],
+      properties: {
+        name: {
+          type: 'string',
+          minLength: 2
+        },
+        tags: {
+          type: 'array',
+          items: {
+            $ref: '#/$defs/tag'
+          }
+        }
+      },
+      $defs: {
+        tag: {
+          type: 'string',
+          pattern: /^[a-z]+$/
+        }
+      }
+    };
+
+    beforeEach(() => {
+      validator = new Validator();
+    });
+
+    it('Должен возвращать функцию проверки', () => {
+      const validate = validator.compile(schema);
+
+      expect(validate({name: 'qq', tags: ['a', 'b']})).toEqual({errors: [], isValid: true});
+    });
+
+    it('Должен возвращать пустой список ошибок для схем, не являющихся объектами', () => {
+      expect(validator.validate(true, {})).toEqual({errors: [], isValid: true});
+      expect(validator.validate(undefined, 1)).toEqual({errors: [], isValid: true});
+    });
+
+    it('Должен возвращать те же ошибки, что и validate', () => {
+      const validate = validator.compile(schema);
+
+      [
+        {name: 'q', tags: ['a', 'B', 1]},
+        {tags: 'a'},
+        {name: null},
+        []
+      ].forEach((data) => {
+        expect(validate(data)).toEqual(validator.validate(schema, data));
+      });
+    });
+
+    it('Должен кешировать скомпилированную схему', () => {
+      expect(validator.compile(schema)).toBe(validator.compile(schema));
+      expect(validator.compile(schema)).not.toBe(validator.compile({...schema}));
+    });
+
+    it('Должен учитывать схемы, добавленные после компиляции', () => {
+      const validate = validator.compile({
+        $ref: 'http://example.com/name.json'
+      });
+
+      expect(validate('qq').isValid).toBeFalse();
+
+      validator.addSchema({
+        type: 'string'
+      }, 'http://example.com/name.json');
+
+      expect(validate('qq').isValid).toBeTrue();
+      expect(validate(1).errors[0].message).toBe('Type is incorrect');
+    });
+
+    it('Должен компилировать схему по id и схемы, не являющиеся объектами', () => {
+      validator.addSchema({
+        type: 'string'
+      }, 'http://example.com/name.json');
+
+      const validate = validator.compile('http://example.com/name.json');
+
+      expect(validate('qq').isValid).toBeTrue();
+      expect(validate(1).isValid).toBeFalse();
+      expect(validator.compile(true)(1)).toEqual({errors: [], isValid: true});
+      expect(validator.compile()(1).isValid).toBeTrue();
+    });
+
+    it('Должен кешировать схему, скомпилированную по id, до изменения реестра', () => {
+      validator.addSchema({
+        type: 'string'
+      }, 'http://example.com/name.json');
+
+      const validate = validator.compile('http://example.com/name.json');
+
+      expect(validator.compile('http://example.com/name.json')).toBe(validate);
+
+      validator.replaceSchema({
+        type: 'number'
+      }, 'http://example.com/name.json');
+
+      expect(validator.compile('http://example.com/name.json')).not.toBe(validate);
+      expect(validator.compile('http://example.com/name.json')(1).isValid).toBeTrue();
+    });
+  });
+
+  describe('Генерация кода', () => {
+    const schema = {
+      type: 'object',
+      required: ['email'],
+      properties: {
+        email: {
+          type: 'string',
+          format: 'email'
+        },
+        tags: {
+          type: 'array',
+          uniqueItems: true,
+          items: {
+            $ref: '#/$defs/tag'
+          }
+        }
+      },
+      $defs: {
+        tag: {
+          enum: ['a', 'b', 'c']
+        }
+      }
+    };
+    const load = (code) => {
+      const module = {};
+
+      new Function('module', code)(module);
+
+      return module.exports;
+    };
+
+    beforeEach(() => {
+      validator = new Validator();
+    });
+
+    it('Должен генерировать модуль CommonJS без зависимости от валидатора', () => {
+      const code = validator.generate(schema);
+      const validate = load(code);
+
+      expect(code).not.toContain('Validator');
+      [
+        {email: 'test@mail.ru', tags: ['a', 'b']},
+        {email: 'test', tags: ['a', 'a', 'd']},
+        {}
+      ].forEach((data) => {
+        expect(validate(data)).toEqual(validator.validate(schema, data));
+      });
+    });
+
+    it('Должен генерировать ES модуль', () => {
+      const code = validator.generate(schema, {module: 'esm'});
+
+      expect(code).toMatch(/export default validate;$/);
+      expect(code).not.toContain('module.exports');
+    });
+
+    it('Должен включать только используемые проверки', () => {
+      const code = validator.generate({
+        type: 'string',
+        minLength: 2
+      });
+
+      expect(code).toContain('checkMinBound');
+      expect(code).not.toContain('checkUnique');
+      expect(code).not.toContain('checkFormat');
+    });
+
+    it('Должен включать схемы из реестра', () => {
+      validator.addSchema({
+        type: 'string',
+        minLength: 2
+      }, 'http://example.com/name.json');
+
+      const validate = load(validator.generate({
+        $ref: 'http://example.com/name.json'
+      }));
+
+      expect(validate('qq').isValid).toBeTrue();
+      expect(validate('q').errors[0].message).toBe('Too short string');
+    });
+
+    it('Должен возвращать те же ошибки, что и validate, для всех ключевых слов', () => {
+      validator.addSchema({
+        type: 'string'
+      }, 'http://example.com/name.json');
+      validator.addFormat('even', (value) => value % 2 === 0, {type: 'number'});
+
+      const fullSchema = {
+        type: ['object', 'null'],
+        minProperties: 1,
+        maxProperties: 20,
+        required: ['a'],
+        dependentRequired: {a: ['s']},
+        dependentSchemas: {s: {required: ['arr']}},
+        propertyNames: {maxLength: 5},
+        patternProperties: {'^p_': {type: 'number'}},
+        properties: {
+          a: {type: 'integer', minimum: 0, maximum: 9, exclusiveMinimum: -1, exclusiveMaximum: 10, multipleOf: 1, safeInteger: true, enum: [1, 2], const: 1, format: 'even'},
+          s: {type: 'string', minLength: 1, maxLength: 5, pattern: /^a/, format: 'email'},
+          arr: {type: 'array', prefixItems: [{type: 'number'}], items: {type: 'string'}, additionalItems: true, contains: 1, uniqueItems: true, minItems: 0, maxItems: 9},
+          u: {items: [{type: 'number'}]},
+          io: {instanceOf: Array},
+          r: {$ref: 'http://example.com/name.json'},
+          o: {oneOf: [{type: 'number'}, {type: 'string'}]},
+          n: {anyOf: [{type: 'number'}]},
+          al: {allOf: [{type: 'number'}]},
+          ue: {allOf: [{properties: {x: {}}}], unevaluatedProperties: false},
+          ui: {prefixItems: [{}], unevaluatedItems: false},
+          no: {not: {type: 'number'}},
+          c: {if: {type: 'number'}, then: {minimum: 0}, else: {type: 'string'}},
+          d: {const: new Date(0)},
+          m: {enum: [new Map([[1, 2]]), new Set([1n])]},
+          b: {const: 1n},
+          t: {contains: new Uint8Array([1, 2])}
+        },
+        additionalProperties: true
+      };
+      const keywords = validator.checks.flatMap(([, , checkKeywords]) => checkKeywords);
+      const used = JSON.stringify(fullSchema, (key, value) => value instanceof RegExp || ['function', 'bigint'].includes(typeof value) ? String(value) : value);
+      const validate = load(validator.generate(fullSchema));
+
+      expect(keywords.filter((keyword) => !used.includes(`"${keyword}"`))).toEqual([]);
+      [
+        {a: 1, s: 'ab@c.d', arr: [1, 'x', 1], u: [1], io: [], r: 'x', o: 1, n: 1, al: 1, ue: {x: 1}, ui: [1], no: 'x', c: 1, p_1: 1, d: new Date(0), m: new Map([[1, 2]]), b: 1n, t: [new Uint8Array([1, 2])]},
+        {a: 5, s: 'b', arr: ['x', 2, 2], u: ['x'], io: {}, r: 1, o: true, n: 'x', al: 'x', ue: {x: 1, y: 2}, ui: [1, 2], no: 1, c: 'x', p_1: 'x', longName: 1, d: '1970-01-01T00:00:00.000Z', m: {}, b: 1, t: [[1, 2]]},
+        null,
+        {}
+      ].forEach((data) => {
+        expect(validate(data)).toEqual(validator.validate(fullSchema, data));
+      });
+    });
+
+    it('Должен выбрасывать ошибку для асинхронного формата в сгенерированном коде', () => {
+      validator.addFormat('free-login', (login) => Promise.resolve(login !== 'admin'), {async: true});
+
+      const validate = load(validator.generate({type: 'string', format: 'free-login'}));
+
+      expect(() => validate('ivan')).toThrowError('Format "free-login" is async, use validateAsync');
     });
   });
 });
@@ -1,50 +1,968 @@
-const id = (x) => x;
-const compose = (...funcs) =>
-  funcs.length === 0
-    ? id
-    : funcs.length === 1
-    ? funcs[0]
-    : funcs.reduceRight((a, b) => (...args) => a(b(...args)));
-const getType = (obj) => obj?.constructor;
+const builtinTypes = {
+  Number,
+  String,
+  Boolean,
+  Date,
+  RegExp,
+  Map,
+  Set,
+  WeakMap,
+  WeakSet,
+  Promise,
+  Error,
+  ArrayBuffer,
+  DataView,
+  Int8Array,
+  Uint8Array,
+  Uint8ClampedArray,
+  Int16Array,
+  Uint16Array,
+  Int32Array,
+  Uint32Array,
+  Float32Array,
+  Float64Array,
+  BigInt64Array,
+  BigUint64Array,
+};
+const primitiveTypes = {
+  number: Number,
+  string: String,
+  boolean: Boolean,
+  bigint: BigInt,
+  symbol: Symbol,
+  function: Function,
+};
+const getType = (obj) =>
+  obj === null || obj === undefined
+    ? undefined
+    : typeof obj !== "object"
+    ? primitiveTypes[typeof obj]
+    : Array.isArray(obj)
+    ? Array
+    : builtinTypes[Object.prototype.toString.call(obj).slice(8, -1)] ?? Object;
 const isTypeOfObject = (obj, ...types) =>
   types.some((type) => getType(obj) === type);
-const match = (...variants) => (obj) =>
-  variants.find(({ predicate }) => predicate(obj))?.body(obj);
 const onlyIf = (booleanPredicate, expr) =>
   (booleanPredicate || undefined) &&
   (isTypeOfObject(expr, Function) ? expr() : expr);
-const equal = (first, second) =>
-  getType(first) === getType(second) &&
-  JSON.stringify(first) === JSON.stringify(second);
+const typeNames = [
+  "string",
+  "number",
+  "integer",
+  "boolean",
+  "object",
+  "array",
+  "null",
+];
+const toArray = (value) => (isTypeOfObject(value, Array) ? value : [value]);
+const isOfType = (obj, type) =>
+  type === "null"
+    ? obj === null
+    : type === "integer"
+    ? isTypeOfObject(obj, Number) &&
+      (Number.isInteger(obj) || !Number.isFinite(obj))
+    : getType(obj)?.name.toLowerCase() === type;
+const testPattern = (pattern, obj) =>
+  onlyIf(isTypeOfObject(obj, String) && isTypeOfObject(pattern, RegExp), () =>
+    pattern.test(obj)
+  );
+const toList = (value) =>
+  Array.from(
+    isTypeOfObject(value, ArrayBuffer)
+      ? new Uint8Array(value)
+      : isTypeOfObject(value, DataView)
+      ? new Uint8Array(value.buffer, value.byteOffset, value.byteLength)
+      : value
+  );
+const equalLists = (first, second, seen) =>
+  first.length === second.length &&
+  first.every((value, index) => equal(value, second[index], seen));
+const matchEach = (first, second, isMatch) =>
+  first.reduce(
+    (remaining, value) =>
+      remaining &&
+      ((index) =>
+        index !== -1 && [
+          ...remaining.slice(0, index),
+          ...remaining.slice(index + 1),
+        ])(remaining.findIndex((other) => isMatch(value, other))),
+    second
+  ) !== false;
+const equalMaps = (first, second, seen) =>
+  first.size === second.size &&
+  matchEach(
+    [...first],
+    [...second],
+    ([key, value], [otherKey, otherValue]) =>
+      equal(key, otherKey, seen) && equal(value, otherValue, seen)
+  );
+const equalSets = (first, second, seen) =>
+  first.size === second.size &&
+  matchEach([...first], [...second], (value, other) =>
+    equal(value, other, seen)
+  );
+const equalObjects = (first, second, seen) =>
+  ((keys) =>
+    keys.length === Object.keys(second).length &&
+    keys.every(
+      (key) =>
+        Object.prototype.hasOwnProperty.call(second, key) &&
+        equal(first[key], second[key], seen)
+    ))(Object.keys(first));
+const unbox = (value) =>
+  typeof value === "object" && isTypeOfObject(value, Number, String, Boolean)
+    ? value.valueOf()
+    : value;
+const equal = (first, second, seen = []) =>
+  ((first, second) =>
+    first === second ||
+    (first !== null &&
+      first !== undefined &&
+      getType(first) === getType(second) &&
+      (typeof first !== "object"
+        ? Number.isNaN(first) && Number.isNaN(second)
+        : seen.some(([left, right]) => left === first && right === second) ||
+          ((seen) =>
+            isTypeOfObject(first, Date)
+              ? equal(first.valueOf(), second.valueOf())
+              : isTypeOfObject(first, RegExp)
+              ? String(first) === String(second)
+              : isTypeOfObject(first, Array, ArrayBuffer, DataView) ||
+                ArrayBuffer.isView(first)
+              ? equalLists(toList(first), toList(second), seen)
+              : isTypeOfObject(first, Map)
+              ? equalMaps(first, second, seen)
+              : isTypeOfObject(first, Set)
+              ? equalSets(first, second, seen)
+              : isTypeOfObject(first, Object) &&
+                equalObjects(first, second, seen))([
+            ...seen,
+            [first, second],
+          ]))))(unbox(first), unbox(second));
+const hashValue = (value, seen = []) =>
+  ((value) =>
+    typeof value !== "object" || value === null
+      ? `${typeof value}:${typeof value === "function" ? "" : String(value)}`
+      : seen.includes(value)
+      ? `cycle:${seen.indexOf(value)}`
+      : ((seen, type) =>
+          isTypeOfObject(value, Date)
+            ? `${type.name}:${String(value.valueOf())}`
+            : isTypeOfObject(value, RegExp)
+            ? `${type.name}:${String(value)}`
+            : isTypeOfObject(value, Array, ArrayBuffer, DataView) ||
+              ArrayBuffer.isView(value)
+            ? `${type.name}[${toList(value)
+                .map((item) => hashValue(item, seen))
+                .join(",")}]`
+            : isTypeOfObject(value, Map)
+            ? `Map{${[...value]
+                .map(
+                  ([key, item]) =>
+                    `${hashValue(key, seen)}=>${hashValue(item, seen)}`
+                )
+                .sort()
+                .join(",")}}`
+            : isTypeOfObject(value, Set)
+            ? `Set{${[...value]
+                .map((item) => hashValue(item, seen))
+                .sort()
+                .join(",")}}`
+            : isTypeOfObject(value, Object)
+            ? `{${Object.keys(value)
+                .sort()
+                .map(
+                  (key) =>
+                    `${JSON.stringify(key)}:${hashValue(value[key], seen)}`
+                )
+                .join(",")}}`
+            : type.name)([...seen, value], getType(value)))(unbox(value));
+const findDuplicate = (array) =>
+  ((buckets) =>
+    array.reduce(
+      (duplicate, item, index) =>
+        duplicate ??
+        ((hash) =>
+          ((bucket) =>
+            ((match) =>
+              match === undefined
+                ? (buckets.set(hash, [...bucket, index]), undefined)
+                : [match, index])(
+              bucket.find((other) => equal(array[other], item))
+            ))(buckets.get(hash) ?? []))(hashValue(item)),
+      undefined
+    ))(new Map());
+const isLeapYear = (year) =>
+  year % 4 === 0 && (year % 100 !== 0 || year % 400 === 0);
+const daysInMonth = (year, month) =>
+  month === 2
+    ? isLeapYear(year)
+      ? 29
+      : 28
+    : [4, 6, 9, 11].includes(month)
+    ? 30
+    : 31;
+const isDate = (value) =>
+  ((match) =>
+    match !== null &&
+    (([year, month, day]) =>
+      month >= 1 && month <= 12 && day >= 1 && day <= daysInMonth(year, month))(
+      match.slice(1).map(Number)
+    ))(/^(\d{4})-(\d{2})-(\d{2})$/.exec(value));
+const isTime = (value) =>
+  ((match) =>
+    match !== null &&
+    (([hour, minute, second, offsetHour, offsetMinute], sign) =>
+      hour <= 23 &&
+      minute <= 59 &&
+      offsetHour <= 23 &&
+      offsetMinute <= 59 &&
+      (second <= 59 ||
+        (second === 60 &&
+          (hour * 60 +
+            minute -
+            sign * (offsetHour * 60 + offsetMinute) +
+            1440) %
+            1440 ===
+            23 * 60 + 59)))(
+      [1, 2, 3, 5, 6].map((group) => Number(match[group] ?? 0)),
+      match[4] === "-" ? -1 : 1
+    ))(
+    /^(\d{2}):(\d{2}):(\d{2})(?:\.\d+)?(?:z|([+-])(\d{2}):(\d{2}))$/i.exec(
+      value
+    )
+  );
+const isDateTime = (value) =>
+  ((parts) => parts.length === 2 && isDate(parts[0]) && isTime(parts[1]))(
+    value.split(/t/i)
+  );
+const isDuration = (value) =>
+  /^P(?!$)(?:\d+Y)?(?:\d+M)?(?:\d+D)?(?:T(?=\d)(?:\d+H)?(?:\d+M)?(?:\d+(?:[.,]\d+)?S)?)?$|^P\d+W$/.test(
+    value
+  );
+const isIpv4 = (value) =>
+  /^(?:(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)\.){3}(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)$/.test(
+    value
+  );
+const isIpv6 = (value) =>
+  ((halves) =>
+    halves.length <= 2 &&
+    ((groups) =>
+      groups.every(
+        (group, index) =>
+          /^[0-9a-f]{1,4}$/i.test(group) ||
+          (index === groups.length - 1 && !value.endsWith(":") && isIpv4(group))
+      ) &&
+      ((count) => (halves.length === 2 ? count <= 7 : count === 8))(
+        groups.length + (value.includes(".") ? 1 : 0)
+      ))(halves.flatMap((half) => (half === "" ? [] : half.split(":")))))(
+    value.split("::")
+  );
+const isHostname = (value) =>
+  value.length <= 253 &&
+  value
+    .split(".")
+    .every((label) => /^(?!-)[a-z0-9-]{1,63}(?<!-)$/i.test(label));
+const isIdnHostname = (value) =>
+  value.length <= 253 &&
+  value
+    .split(/[.。．｡]/)
+    .every((label) => /^(?!-)[\p{L}\p{M}\p{N}-]{1,63}(?<!-)$/u.test(label));
+const isIdnEmail = (value) =>
+  ((index) =>
+    index > 0 &&
+    index <= 64 &&
+    /^[\p{L}\p{M}\p{N}!#$%&'*+/=?^_`{|}~-]+(?:\.[\p{L}\p{M}\p{N}!#$%&'*+/=?^_`{|}~-]+)*$/u.test(
+      value.slice(0, index)
+    ) &&
+    isIdnHostname(value.slice(index + 1)))(value.lastIndexOf("@"));
+const isAuthority = (authority) =>
+  ((match) =>
+    match !== null &&
+    (match[1].startsWith("[")
+      ? isIpv6(match[1].slice(1, -1)) ||
+        /^v[0-9a-f]+\.[\w\-.~!$&'()*+,;=:]+$/i.test(match[1].slice(1, -1))
+      : /^(?:[\w\-.~!$&'()*+,;=]|%[0-9a-f]{2})*$/i.test(match[1])))(
+    /^(?:(?:[\w\-.~!$&'()*+,;=:]|%[0-9a-f]{2})*@)?(\[[^\]]*\]|[^:]*)(?::\d*)?$/i.exec(
+      authority
+    )
+  );
+const isUriReference = (value) =>
+  (({ scheme, authority, path, query, fragment }) =>
+    (scheme === undefined || /^[a-z][a-z0-9+\-.]*$/i.test(scheme)) &&
+    (authority === undefined || isAuthority(authority)) &&
+    /^(?:[\w\-.~!$&'()*+,;=:@/]|%[0-9a-f]{2})*$/i.test(path) &&
+    [query, fragment].every(
+      (part) =>
+        part === undefined ||
+        /^(?:[\w\-.~!$&'()*+,;=:@/?]|%[0-9a-f]{2})*$/i.test(part)
+    ))(parseUri(value));
+const isUri = (value) =>
+  isUriReference(value) && parseUri(value).scheme !== undefined;
+const isInt32 = (value) =>
+  Number.isInteger(value) && value >= -(2 ** 31) && value <= 2 ** 31 - 1;
+const isInt64 = (value) =>
+  Number.isInteger(value) && value >= -(2 ** 63) && value < 2 ** 63;
+const isFloat = (value) =>
+  Number.isFinite(value) && Math.abs(value) <= 3.4028234663852886e38;
+const isDouble = (value) => Number.isFinite(value);
+const builtinFormats = [
+  [
+    "email",
+    /^[a-zA-Z0-9.!#$%&'*+/=?^_`{|}~-]+@[a-zA-Z0-9-]+(?:\.[a-zA-Z0-9-]+)*$/,
+  ],
+  ["idn-email", isIdnEmail],
+  ["date", isDate],
+  ["time", isTime],
+  ["date-time", isDateTime],
+  ["duration", isDuration],
+  ["uri", isUri],
+  ["uri-reference", isUriReference],
+  ["hostname", isHostname],
+  ["idn-hostname", isIdnHostname],
+  ["ipv4", isIpv4],
+  ["ipv6", isIpv6],
+  ["int32", isInt32, { type: "number" }],
+  ["int64", isInt64, { type: "number" }],
+  ["float", isFloat, { type: "number" }],
+  ["double", isDouble, { type: "number" }],
+];
+const countDecimals = (number) =>
+  (([mantissa, exponent = "0"]) =>
+    Math.max((mantissa.split(".")[1] ?? "").length - Number(exponent), 0))(
+    String(number).split("e")
+  );
+const isMultipleOf = (number, divisor) =>
+  ((scale) => Math.round(number * scale) % Math.round(divisor * scale) === 0)(
+    10 ** Math.max(countDecimals(number), countDecimals(divisor))
+  );
 const countNMT = (array, predicate, count) =>
-  array.reduce((prev, cur) => (prev > count ? prev : prev + predicate(cur)), 0);
+  array.reduce(
+    (prev, cur, index) => (prev > count ? prev : prev + predicate(cur, index)),
+    0
+  );
+const collectErrors = (array, getErrors, allErrors) =>
+  allErrors
+    ? array.flatMap((cur, index) => getErrors(cur, index))
+    : array.reduce(
+        (prev, cur, index) => (prev.length > 0 ? prev : getErrors(cur, index)),
+        []
+      );
+const hasProperty = (obj, key, context) =>
+  Object.prototype.hasOwnProperty.call(obj, key) &&
+  !(context.runtime.undefinedAsMissing && obj[key] === undefined);
+const isArrayOfSchemas = (array) =>
+  isTypeOfObject(array, Array) &&
+  array.every((item) => isTypeOfObject(item, Object));
+const createPattern = (pattern) => {
+  try {
+    return new RegExp(pattern, "u");
+  } catch {
+    return raise(`Invalid pattern "${pattern}" in patternProperties`);
+  }
+};
+const compilePatterns = (patternProperties) =>
+  Object.keys(patternProperties).map((pattern) => [
+    pattern,
+    createPattern(pattern),
+  ]);
+const matchPatterns = (patterns, key) =>
+  patterns.filter(([, regExp]) => regExp.test(key)).map(([pattern]) => pattern);
+const escapePointer = (token) =>
+  String(token).replace(/~/g, "~0").replace(/\//g, "~1");
+const joinPointer = (pointer, ...tokens) =>
+  tokens.reduce((prev, cur) => `${prev}/${escapePointer(cur)}`, pointer);
+const decodeComponent = (component) => {
+  try {
+    return decodeURIComponent(component);
+  } catch {
+    return undefined;
+  }
+};
+const unescapePointer = (token) =>
+  decodeComponent(token)?.replace(/~1/g, "/").replace(/~0/g, "~");
+const resolvePointer = (root, pointer) =>
+  pointer
+    .split("/")
+    .slice(1)
+    .map(unescapePointer)
+    .reduce(
+      (prev, cur) =>
+        cur !== undefined &&
+        isTypeOfObject(prev, Object, Array) &&
+        Object.prototype.hasOwnProperty.call(prev, cur)
+          ? prev[cur]
+          : undefined,
+      root
+    );
+const parseUri = (uri) =>
+  (([, scheme, authority, path, query, fragment]) => ({
+    scheme,
+    authority,
+    path,
+    query,
+    fragment,
+  }))(
+    uri.match(
+      /^(?:([^:/?#]+):)?(?:\/\/([^/?#]*))?([^?#]*)(?:\?([^#]*))?(?:#(.*))?$/
+    )
+  );
+const formatUri = ({ scheme, authority, path, query, fragment }) =>
+  [
+    onlyIf(scheme !== undefined, `${scheme}:`),
+    onlyIf(authority !== undefined, `//${authority}`),
+    path,
+    onlyIf(query !== undefined, `?${query}`),
+    onlyIf(fragment !== undefined, `#${fragment}`),
+  ].join("");
+const removeDotSegments = (path) =>
+  path
+    .split("/")
+    .reduce(
+      (prev, cur, index, segments) =>
+        ((output) =>
+          index === segments.length - 1 && (cur === "." || cur === "..")
+            ? [...output, ""]
+            : output)(
+          cur === "."
+            ? prev
+            : cur === ".."
+            ? prev.length > 1 || prev[0] !== ""
+              ? prev.slice(0, -1)
+              : prev
+            : [...prev, cur]
+        ),
+      []
+    )
+    .join("/");
+const mergePaths = ({ authority, path }, relativePath) =>
+  authority !== undefined && path === ""
+    ? `/${relativePath}`
+    : `${path.slice(0, path.lastIndexOf("/") + 1)}${relativePath}`;
+const resolveUri = (base, ref) =>
+  ((base, ref) =>
+    formatUri(
+      ref.scheme !== undefined
+        ? { ...ref, path: removeDotSegments(ref.path) }
+        : ref.authority !== undefined
+        ? { ...ref, scheme: base.scheme, path: removeDotSegments(ref.path) }
+        : ref.path === ""
+        ? { ...base, query: ref.query ?? base.query, fragment: ref.fragment }
+        : {
+            ...ref,
+            scheme: base.scheme,
+            authority: base.authority,
+            path: removeDotSegments(
+              ref.path.startsWith("/") ? ref.path : mergePaths(base, ref.path)
+            ),
+          }
+    ))(parseUri(base), parseUri(ref));
+const splitFragment = (uri) =>
+  uri.includes("#")
+    ? [uri.slice(0, uri.indexOf("#")), uri.slice(uri.indexOf("#") + 1)]
+    : [uri, ""];
+const normalizeId = (id, baseUri = "") =>
+  splitFragment(resolveUri(baseUri, id))[0];
+const composeContext = (context, ...tokens) => ({
+  ...context,
+  schemaPath: joinPointer(context.schemaPath, ...tokens),
+  compositionPath: context.instancePath,
+});
+const getAdditionalProperties = (
+  { additionalProperties, properties, unevaluatedProperties },
+  context
+) =>
+  additionalProperties ??
+  onlyIf(
+    properties !== undefined &&
+      unevaluatedProperties === undefined &&
+      context.compositionPath !== context.instancePath,
+    false
+  );
+const mergeResources = (first, second) =>
+  Object.keys(second).reduce(
+    (prev, key) =>
+      prev[key] !== undefined && prev[key] !== second[key]
+        ? raise(`Schema with id "${key}" already exists`)
+        : { ...prev, [key]: second[key] },
+    first
+  );
+const collectResources = (schema, baseUri, seen = []) =>
+  seen.includes(schema)
+    ? {}
+    : isTypeOfObject(schema, Array)
+    ? schema.reduce(
+        (prev, cur) =>
+          mergeResources(
+            prev,
+            collectResources(cur, baseUri, [...seen, schema])
+          ),
+        {}
+      )
+    : isTypeOfObject(schema, Object)
+    ? ((uri) =>
+        Object.keys(schema)
+          .filter((key) => key !== "enum" && key !== "const")
+          .reduce(
+            (prev, cur) =>
+              mergeResources(
+                prev,
+                collectResources(schema[cur], uri, [...seen, schema])
+              ),
+            isTypeOfObject(schema.$id, String) ? { [uri]: schema } : {}
+          ))(
+        isTypeOfObject(schema.$id, String)
+          ? normalizeId(schema.$id, baseUri)
+          : baseUri
+      )
+    : {};
+const enterResource = (schema, context) =>
+  isTypeOfObject(schema?.$id, String)
+    ? {
+        ...context,
+        root: schema,
+        baseUri: normalizeId(schema.$id, context.baseUri),
+      }
+    : context;
+const createContext = (schema, runtime) => ({
+  instancePath: "",
+  schemaPath: "#",
+  root: schema,
+  baseUri: "",
+  resources: collectResources(schema, ""),
+  stack: [],
+  runtime,
+});
+const withoutSchema = (schemas, uri) =>
+  Object.fromEntries(
+    Object.entries(schemas).filter(([, entry]) => entry.id !== uri)
+  );
+const raise = (message) => {
+  throw new Error(message);
+};
+const makeError = ({ instancePath, schemaPath }, keyword, params, message) => ({
+  instancePath,
+  schemaPath: joinPointer(schemaPath, keyword),
+  keyword,
+  params,
+  message,
+});
+
+const makeFailure = (
+  schema,
+  obj,
+  context,
+  {
+    error,
+    instancePath = context.instancePath,
+    keyword = context.runtime.getErrorKeywords(getType(obj))[error],
+    params = { [keyword]: schema[keyword] },
+  }
+) =>
+  makeError(
+    { ...context, instancePath },
+    keyword,
+    params,
+    context.runtime.getErrorMessages(getType(obj))[error]
+  );
+const runCheck = ([checker, error], schema, obj, context) =>
+  ((result) =>
+    result === false
+      ? [makeFailure(schema, obj, context, { error })]
+      : isTypeOfObject(result, Array)
+      ? (context.runtime.allErrors ? result : result.slice(0, 1)).map((item) =>
+          item.message === undefined
+            ? makeFailure(schema, obj, context, item)
+            : item
+        )
+      : [])(checker(schema, obj, context));
+const runChecks = (checks, schema, obj, context) =>
+  collectErrors(
+    checks,
+    (check) => runCheck(check, schema, obj, context),
+    context.runtime.allErrors
+  );
+const validateItems = (keyword, itemSchema, obj, start, context) =>
+  collectErrors(
+    obj.slice(start),
+    (cur, index) =>
+      itemSchema === false
+        ? [
+            {
+              error: "additionalItem",
+              keyword,
+              instancePath: joinPointer(context.instancePath, start + index),
+              params: { limit: start },
+            },
+          ]
+        : itemSchema === true
+        ? []
+        : context.runtime.validate(itemSchema, cur, {
+            ...context,
+            instancePath: joinPointer(context.instancePath, start + index),
+            schemaPath: joinPointer(context.schemaPath, keyword),
+          }).errors,
+    context.runtime.allErrors
+  );
+const validateProperty = (path, error, propertySchema, obj, key, context) =>
+  propertySchema === false
+    ? [{ error, keyword: path[0], params: { [error]: key } }]
+    : propertySchema === true
+    ? []
+    : context.runtime.validate(propertySchema, obj[key], {
+        ...context,
+        instancePath: joinPointer(context.instancePath, key),
+        schemaPath: joinPointer(context.schemaPath, ...path),
+      }).errors;
+const validateProperties = (
+  keyword,
+  error,
+  propertySchema,
+  obj,
+  keys,
+  context
+) =>
+  collectErrors(
+    keys,
+    (key) =>
+      validateProperty([keyword], error, propertySchema, obj, key, context),
+    context.runtime.allErrors
+  );
+const resolveReference = ($ref, context) =>
+  (([uri, fragment]) =>
+    ((resource) => [
+      onlyIf(fragment === "" || fragment.startsWith("/"), () =>
+        resolvePointer(resource, fragment)
+      ),
+      {
+        ...context,
+        schemaPath: `${uri}#${fragment}`,
+        root: resource,
+        baseUri: uri,
+        compositionPath: context.instancePath,
+      },
+    ])(
+      uri === context.baseUri
+        ? context.root
+        : context.resources[uri] ?? context.runtime.getSchema(uri)
+    ))(splitFragment(resolveUri(context.baseUri, $ref)));
+const isCyclicReference = (target, obj, context) =>
+  context.stack.some(
+    ([schema, value]) => schema === target && Object.is(value, obj)
+  );
+const matchesContains = (contains, item, index, context) =>
+  isTypeOfObject(contains, Object)
+    ? context.runtime.validate(contains, item, {
+        ...context,
+        instancePath: joinPointer(context.instancePath, index),
+        schemaPath: joinPointer(context.schemaPath, "contains"),
+      }).isValid
+    : equal(item, contains);
+const getEvaluatedProperties = (schema, obj, context, nested) =>
+  onlyIf(isTypeOfObject(obj, Object), () =>
+    Object.keys(obj).filter(
+      (key) =>
+        (nested && schema.unevaluatedProperties !== undefined) ||
+        getAdditionalProperties(schema, context) !== undefined ||
+        (isTypeOfObject(schema.properties, Object) &&
+          Object.prototype.hasOwnProperty.call(schema.properties, key)) ||
+        (isTypeOfObject(schema.patternProperties, Object) &&
+          matchPatterns(
+            context.runtime.getPatterns(schema.patternProperties),
+            key
+          ).length > 0)
+    )
+  ) ?? [];
+const getEvaluatedItems = (schema, obj, context, nested) =>
+  onlyIf(isTypeOfObject(obj, Array), () =>
+    obj
+      .map((cur, index) => index)
+      .filter(
+        (index) =>
+          (nested && schema.unevaluatedItems !== undefined) ||
+          isTypeOfObject(schema.items, Array, Object, Boolean) ||
+          isTypeOfObject(schema.additionalItems, Object, Boolean) ||
+          (isArrayOfSchemas(schema.prefixItems) &&
+            index < schema.prefixItems.length) ||
+          (schema.contains !== undefined &&
+            matchesContains(schema.contains, obj[index], index, context))
+      )
+  ) ?? [];
+const collectEvaluated = (getEvaluated, schema, obj, context, nested = false) =>
+  !isTypeOfObject(schema, Object)
+    ? []
+    : ((context) =>
+        ((isValid, evaluate) => [
+          ...getEvaluated(schema, obj, context, nested),
+          ...(onlyIf(isTypeOfObject(schema.$ref, String), () =>
+            (([target, refContext]) =>
+              onlyIf(
+                isTypeOfObject(target, Object) &&
+                  !isCyclicReference(target, obj, context),
+                () =>
+                  collectEvaluated(
+                    getEvaluated,
+                    target,
+                    obj,
+                    {
+                      ...refContext,
+                      stack: [...context.stack, [target, obj]],
+                    },
+                    true
+                  )
+              ))(resolveReference(schema.$ref, context))
+          ) ?? []),
+          ...(isArrayOfSchemas(schema.allOf) ? schema.allOf : []).flatMap(
+            evaluate
+          ),
+          ...[schema.anyOf, schema.oneOf]
+            .filter(isArrayOfSchemas)
+            .flat()
+            .filter(isValid)
+            .flatMap(evaluate),
+          ...(isTypeOfObject(schema.if, Object)
+            ? isValid(schema.if)
+              ? [schema.if, schema.then]
+              : [schema.else]
+            : []
+          ).flatMap(evaluate),
+          ...(isTypeOfObject(schema.dependentSchemas, Object) &&
+          isTypeOfObject(obj, Object)
+            ? Object.keys(schema.dependentSchemas)
+                .filter((property) => hasProperty(obj, property, context))
+                .map((property) => schema.dependentSchemas[property])
+            : []
+          ).flatMap(evaluate),
+        ])(
+          (subschema) =>
+            context.runtime.validate(subschema, obj, composeContext(context))
+              .isValid,
+          (subschema) =>
+            collectEvaluated(
+              getEvaluated,
+              subschema,
+              obj,
+              composeContext(context),
+              true
+            )
+        ))(enterResource(schema, context));
+const toResult = (errors = []) => ({ errors, isValid: errors.length === 0 });
+const serialize = (value, seen = []) =>
+  ((serializeItem) =>
+    seen.includes(value)
+      ? raise("Can not generate code for a cyclic schema")
+      : isTypeOfObject(value, Array)
+      ? `[${value.map(serializeItem).join(", ")}]`
+      : isTypeOfObject(value, Object)
+      ? `{${Object.keys(value)
+          .map((key) => `${JSON.stringify(key)}: ${serializeItem(value[key])}`)
+          .join(", ")}}`
+      : isTypeOfObject(value, Map, Set)
+      ? `new ${getType(value).name}(${serializeItem([...value])})`
+      : isTypeOfObject(value, Date)
+      ? `new Date(${serialize(value.getTime())})`
+      : isTypeOfObject(value, ArrayBuffer)
+      ? `new Uint8Array(${serialize(toList(value))}).buffer`
+      : isTypeOfObject(value, DataView)
+      ? `new DataView(new Uint8Array(${serialize(toList(value))}).buffer)`
+      : ArrayBuffer.isView(value)
+      ? `new ${getType(value).name}(${serialize(toList(value))})`
+      : typeof value === "object" &&
+        isTypeOfObject(value, Number, String, Boolean)
+      ? `new ${getType(value).name}(${serialize(value.valueOf())})`
+      : isTypeOfObject(value, RegExp)
+      ? String(value)
+      : isTypeOfObject(value, Function)
+      ? value.name
+      : isTypeOfObject(value, Number)
+      ? Object.is(value, -0)
+        ? "-0"
+        : String(value)
+      : isTypeOfObject(value, BigInt)
+      ? `${value}n`
+      : isTypeOfObject(value, String, Boolean) || value === null
+      ? JSON.stringify(value)
+      : value === undefined
+      ? "undefined"
+      : raise(`Can not generate code for value ${String(value)}`))((item) =>
+    serialize(item, [...seen, value])
+  );
+const collectObjects = (value, path = [], seen = []) =>
+  seen.includes(value)
+    ? []
+    : isTypeOfObject(value, Array)
+    ? value.flatMap((item, index) =>
+        collectObjects(item, [...path, index], [...seen, value])
+      )
+    : isTypeOfObject(value, Object)
+    ? [
+        [path, value],
+        ...Object.keys(value)
+          .filter((key) => key !== "enum" && key !== "const")
+          .flatMap((key) =>
+            collectObjects(value[key], [...path, key], [...seen, value])
+          ),
+      ]
+    : [];
+const runtimeHelpers = {
+  builtinTypes,
+  primitiveTypes,
+  getType,
+  isTypeOfObject,
+  onlyIf,
+  typeNames,
+  toArray,
+  isOfType,
+  testPattern,
+  toList,
+  equalLists,
+  matchEach,
+  equalMaps,
+  equalSets,
+  equalObjects,
+  unbox,
+  equal,
+  hashValue,
+  findDuplicate,
+  isLeapYear,
+  daysInMonth,
+  isDate,
+  isTime,
+  isDateTime,
+  isDuration,
+  isIpv4,
+  isIpv6,
+  isHostname,
+  isIdnHostname,
+  isIdnEmail,
+  isAuthority,
+  isUriReference,
+  isUri,
+  isInt32,
+  isInt64,
+  isFloat,
+  isDouble,
+  countDecimals,
+  isMultipleOf,
+  countNMT,
+  collectErrors,
+  hasProperty,
+  isArrayOfSchemas,
+  createPattern,
+  compilePatterns,
+  matchPatterns,
+  escapePointer,
+  joinPointer,
+  decodeComponent,
+  unescapePointer,
+  resolvePointer,
+  parseUri,
+  formatUri,
+  removeDotSegments,
+  mergePaths,
+  resolveUri,
+  splitFragment,
+  normalizeId,
+  composeContext,
+  getAdditionalProperties,
+  mergeResources,
+  collectResources,
+  enterResource,
+  createContext,
+  raise,
+  makeError,
+  makeFailure,
+  runCheck,
+  runChecks,
+  validateItems,
+  validateProperty,
+  validateProperties,
+  resolveReference,
+  isCyclicReference,
+  matchesContains,
+  getEvaluatedProperties,
+  getEvaluatedItems,
+  collectEvaluated,
+  toResult,
+};
 
 class Validator {
   _errors = [];
+  _schemas = {};
+  _formats = {};
+  _compiled = new WeakMap();
+  _compiledRoots = new WeakMap();
+  _compiledIds = new Map();
+  _patterns = new WeakMap();
+
+  constructor({
+    allErrors = true,
+    undefinedAsMissing = false,
+    strict = false,
+  } = {}) {
+    this._allErrors = allErrors;
+    this._undefinedAsMissing = undefinedAsMissing;
+    this._strict = strict;
+    builtinFormats.forEach((args) => this.addFormat(...args));
+  }
 
   get Errors() {
     return this._errors;
   }
 
   //validators
-  checkNullable = ({ nullable = false, obj }) =>
-    onlyIf(isTypeOfObject(nullable, Boolean), () => obj !== null || nullable);
+  checkNullable = (schema, obj) =>
+    ((nullable) =>
+      onlyIf(
+        isTypeOfObject(nullable, Boolean),
+        () => obj !== null || nullable
+      ))(
+      schema.nullable ??
+        onlyIf(
+          (schema.type !== undefined ||
+            ["$ref", "oneOf", "anyOf", "allOf"].every(
+              (keyword) => schema[keyword] === undefined
+            )) &&
+            schema.const !== null &&
+            !toArray(schema.type).includes("null") &&
+            !(isTypeOfObject(schema.enum, Array) && schema.enum.includes(null)),
+          false
+        )
+    );
   checkUnknownType = ({ type }) =>
+    onlyIf(isTypeOfObject(type, String, Array), () =>
+      toArray(type).every((cur) => typeNames.includes(cur))
+    );
+  checkWrongType = ({ type }, obj) =>
     onlyIf(
-      isTypeOfObject(type, String),
+      isTypeOfObject(type, String, Array),
       () =>
-        [String, Number, Boolean, Object, Array].reduce(
-          (prev, cur) => ({ ...prev, [cur.name.toLowerCase()]: cur }),
-          {}
-        )[type] !== undefined
+        obj === null ||
+        toArray(type).some((cur) => isOfType(obj, cur)) ||
+        (isTypeOfObject(obj, Number) &&
+        toArray(type).includes("integer") &&
+        !toArray(type).includes("number")
+          ? [{ error: "notInteger" }]
+          : false)
     );
-  checkWrongType = ({ type, obj }) =>
+  checkFiniteNumber = (
+    { allowNonFinite, const: constValue, enum: availableValues },
+    obj
+  ) =>
     onlyIf(
-      isTypeOfObject(type, String),
+      isTypeOfObject(obj, Number) && allowNonFinite !== true,
       () =>
-        !this.checkNullable({ obj }) || getType(obj).name.toLowerCase() === type
+        Number.isFinite(obj.valueOf()) ||
+        [
+          constValue,
+          ...(isTypeOfObject(availableValues, Array) ? availableValues : []),
+        ].some((value) => value !== undefined && equal(obj, value))
+    );
+  checkSafeInteger = ({ safeInteger }, obj) =>
+    onlyIf(isTypeOfObject(obj, Number) && safeInteger === true, () =>
+      Number.isSafeInteger(obj)
     );
-  checkMinBound = ({ minimum, minItems, minLength, minProperties, obj }) =>
+  checkMinBound = ({ minimum, minItems, minLength, minProperties }, obj) =>
     ({
       [Number]: () =>
         onlyIf(isTypeOfObject(minimum, Number), () => obj >= minimum),
@@ -61,7 +979,7 @@ class Validator {
           () => Object.keys(obj).length >= minProperties
         ),
     }[getType(obj)]?.call(this));
-  checkMaxBound = ({ maximum, maxItems, maxLength, maxProperties, obj }) =>
+  checkMaxBound = ({ maximum, maxItems, maxLength, maxProperties }, obj) =>
     ({
       [Number]: () =>
         onlyIf(isTypeOfObject(maximum, Number), () => obj <= maximum),
@@ -78,89 +996,546 @@ class Validator {
           () => Object.keys(obj).length <= maxProperties
         ),
     }[getType(obj)]?.call(this));
-  checkStringPattern = ({ pattern, obj }) =>
-    onlyIf(isTypeOfObject(obj, String) && isTypeOfObject(pattern, RegExp), () =>
-      pattern.test(obj)
-    );
-  checkStringFormat = ({ format, obj }) =>
-    this.checkStringPattern({
-      pattern: {
-        email: /^[a-zA-Z0-9.!#$%&'*+/=?^_`{|}~-]+@[a-zA-Z0-9-]+(?:\.[a-zA-Z0-9-]+)*$/,
-        date: /^\d{4}([-/])(0[1-9]|1[0-2])\1(0[1-9]|[12][0-9]|3[01])$/,
-      }[format],
-      obj,
-    });
-  checkAvailableValues = ({ enum: availableValues, obj }) =>
+  checkExclusiveMinimum = ({ exclusiveMinimum }, obj) =>
+    onlyIf(
+      isTypeOfObject(obj, Number) && isTypeOfObject(exclusiveMinimum, Number),
+      () => obj > exclusiveMinimum
+    );
+  checkExclusiveMaximum = ({ exclusiveMaximum }, obj) =>
+    onlyIf(
+      isTypeOfObject(obj, Number) && isTypeOfObject(exclusiveMaximum, Number),
+      () => obj < exclusiveMaximum
+    );
+  checkMultipleOf = ({ multipleOf }, obj) =>
+    onlyIf(
+      isTypeOfObject(obj, Number) &&
+        isTypeOfObject(multipleOf, Number) &&
+        multipleOf > 0,
+      () => isMultipleOf(obj, multipleOf)
+    );
+  checkInstanceOf = ({ instanceOf }, obj) =>
+    onlyIf(
+      instanceOf !== undefined &&
+        toArray(instanceOf).every((type) => isTypeOfObject(type, Function)),
+      () =>
+        toArray(instanceOf).some((type) => obj instanceof type) || [
+          {
+            error: "notInstanceOf",
+            params: { instanceOf: toArray(instanceOf).map(({ name }) => name) },
+          },
+        ]
+    );
+  checkStringPattern = ({ pattern }, obj) => testPattern(pattern, obj);
+  checkFormat = (schema, obj, context) =>
+    ((definition) =>
+      definition === undefined
+        ? onlyIf(context.runtime.strict, [{ error: "unknownFormat" }])
+        : onlyIf(isOfType(obj, definition.type), () =>
+            definition.async
+              ? context.runtime.formatResults === undefined
+                ? raise(`Format "${schema.format}" is async, use validateAsync`)
+                : context.runtime.formatResults.get(schema.format)?.get(obj) ??
+                  (context.runtime.missingFormats.push([schema.format, obj]),
+                  true)
+              : isTypeOfObject(definition.validate, RegExp)
+              ? definition.validate.test(String(obj))
+              : ((result) =>
+                  isTypeOfObject(result?.then, Function)
+                    ? raise(
+                        `Format "${schema.format}" is async, use validateAsync`
+                      )
+                    : Boolean(result))(definition.validate(obj))
+          ))(context.runtime.getFormat(schema.format));
+  checkAvailableValues = ({ enum: availableValues }, obj) =>
     onlyIf(isTypeOfObject(availableValues, Array), () =>
       availableValues.some((value) => equal(obj, value))
     );
-  checkArrayType = ({ items, obj }) =>
+  checkConstValue = ({ const: constValue }, obj) =>
+    onlyIf(constValue !== undefined, () => equal(obj, constValue));
+  checkArrayType = ({ items, prefixItems }, obj, context) =>
     onlyIf(
-      isTypeOfObject(obj, Array) && isTypeOfObject(items, Array, Object),
+      isTypeOfObject(obj, Array) &&
+        isTypeOfObject(items, Array, Object, Boolean),
       () =>
-        obj.reduce(
-          (prev, cur) =>
-            prev &&
-            (isTypeOfObject(items, Array)
-              ? items.some((item) => this.validate(item, cur).isValid)
-              : this.validate(items, cur).isValid),
-          true
+        isTypeOfObject(items, Array)
+          ? collectErrors(
+              obj,
+              (cur, index) =>
+                ((results) =>
+                  results.some(({ isValid }) => isValid)
+                    ? []
+                    : results.flatMap(({ errors }) => errors))(
+                  items.map((item, itemIndex) =>
+                    context.runtime.validate(item, cur, {
+                      ...context,
+                      instancePath: joinPointer(context.instancePath, index),
+                      schemaPath: joinPointer(
+                        context.schemaPath,
+                        "items",
+                        itemIndex
+                      ),
+                    })
+                  )
+                ),
+              context.runtime.allErrors
+            )
+          : validateItems(
+              "items",
+              items,
+              obj,
+              isArrayOfSchemas(prefixItems) ? prefixItems.length : 0,
+              context
+            )
+    );
+  checkPrefixItems = ({ prefixItems }, obj, context) =>
+    onlyIf(isTypeOfObject(obj, Array) && isArrayOfSchemas(prefixItems), () =>
+      collectErrors(
+        obj.slice(0, prefixItems.length),
+        (cur, index) =>
+          context.runtime.validate(prefixItems[index], cur, {
+            ...context,
+            instancePath: joinPointer(context.instancePath, index),
+            schemaPath: joinPointer(context.schemaPath, "prefixItems", index),
+          }).errors,
+        context.runtime.allErrors
+      )
+    );
+  checkAdditionalItems = ({ additionalItems, prefixItems }, obj, context) =>
+    onlyIf(
+      isTypeOfObject(obj, Array) &&
+        isTypeOfObject(additionalItems, Object, Boolean),
+      () =>
+        validateItems(
+          "additionalItems",
+          additionalItems,
+          obj,
+          isArrayOfSchemas(prefixItems) ? prefixItems.length : 0,
+          context
         )
     );
-  checkContains = ({ contains, obj }) =>
+  checkContains = ({ contains, minContains, maxContains }, obj, context) =>
     onlyIf(isTypeOfObject(obj, Array) && contains !== undefined, () =>
-      obj.some((value) => equal(value, contains))
+      ((count) =>
+        count < (minContains ?? 1)
+          ? [
+              minContains === undefined
+                ? { error: "notContainsValue" }
+                : {
+                    error: "lessThanMinContains",
+                    params: { minContains, count },
+                  },
+            ]
+          : count > (maxContains ?? Infinity)
+          ? [
+              {
+                error: "greaterThanMaxContains",
+                params: { maxContains, count },
+              },
+            ]
+          : [])(
+        obj.filter((cur, index) =>
+          matchesContains(contains, cur, index, context)
+        ).length
+      )
     );
-  checkUnique = ({ uniqueItems, obj }) =>
+  checkUnique = ({ uniqueItems }, obj) =>
+    onlyIf(isTypeOfObject(obj, Array) && uniqueItems === true, () =>
+      ((duplicate) =>
+        duplicate === undefined || [
+          {
+            error: "notUniqueElements",
+            params: { duplicateItems: duplicate },
+          },
+        ])(findDuplicate(Array.from(obj)))
+    );
+  checkRequired = ({ required }, obj, context) =>
     onlyIf(
-      isTypeOfObject(obj, Array) && isTypeOfObject(uniqueItems, Boolean),
+      isTypeOfObject(obj, Object) && isTypeOfObject(required, Array, String),
       () =>
-        obj.reduce(
-          (prev, cur) =>
-            !prev.isUnique
-              ? prev
-              : prev.array.some((value) => equal(value, cur))
-              ? { isUnique: false }
-              : { isUnique: prev.isUnique, array: [...prev.array, cur] },
-          { array: [], isUnique: true }
-        ).isUnique
-    );
-  checkRequired = ({ required, obj }) =>
+        toArray(required)
+          .filter((property) => !hasProperty(obj, property, context))
+          .slice(0, context.runtime.allErrors ? undefined : 1)
+          .map((property) => ({
+            error: "undefinedRequiredProperty",
+            params: { missingProperty: property },
+          }))
+    );
+  checkDependentRequired = ({ dependentRequired }, obj, context) =>
     onlyIf(
-      isTypeOfObject(obj, Object) && isTypeOfObject(required, Array, String),
-      {
-        Array: () =>
-          required.reduce((prev, cur) => prev && obj[cur] !== undefined, true),
-        String: () => obj[required] !== undefined,
-      }[getType(required)?.name]
+      isTypeOfObject(obj, Object) && isTypeOfObject(dependentRequired, Object),
+      () =>
+        Object.keys(dependentRequired)
+          .filter(
+            (property) =>
+              hasProperty(obj, property, context) &&
+              isTypeOfObject(dependentRequired[property], Array)
+          )
+          .map((property) => [
+            property,
+            dependentRequired[property]
+              .filter((dependent) => !hasProperty(obj, dependent, context))
+              .slice(0, context.runtime.allErrors ? undefined : 1),
+          ])
+          .filter(([, missingProperties]) => missingProperties.length > 0)
+          .slice(0, context.runtime.allErrors ? undefined : 1)
+          .map(([property, missingProperties]) => ({
+            error: "undefinedDependentProperty",
+            params: { property, missingProperties },
+          }))
     );
-  checkProperties = ({ properties, obj }) =>
+  checkDependentSchemas = ({ dependentSchemas }, obj, context) =>
     onlyIf(
-      isTypeOfObject(obj, Object) && isTypeOfObject(properties, Object),
+      isTypeOfObject(obj, Object) && isTypeOfObject(dependentSchemas, Object),
       () =>
-        Object.keys(obj).reduce(
-          (prev, cur) =>
-            prev &&
-            (properties[cur] === undefined ||
-              this.validate(properties[cur], obj[cur]).isValid),
-          true
+        collectErrors(
+          Object.keys(dependentSchemas).filter(
+            (property) =>
+              hasProperty(obj, property, context) &&
+              isTypeOfObject(dependentSchemas[property], Object)
+          ),
+          (property) =>
+            ((errors) =>
+              errors.length > 0
+                ? [
+                    ...errors,
+                    {
+                      error: "notMatchDependentSchema",
+                      params: { property },
+                    },
+                  ]
+                : [])(
+              context.runtime.validate(
+                dependentSchemas[property],
+                obj,
+                composeContext(context, "dependentSchemas", property)
+              ).errors
+            ),
+          context.runtime.allErrors
         )
     );
-  checkExtraProperties = ({ additionalProperties, properties, obj }) =>
+  checkProperties = ({ properties }, obj, context) =>
     onlyIf(
       isTypeOfObject(obj, Object) && isTypeOfObject(properties, Object),
       () =>
-        Object.keys(obj).reduce(
-          (prev, cur) =>
-            prev && (additionalProperties || properties[cur] !== undefined),
-          true
+        collectErrors(
+          Object.keys(obj).filter((key) =>
+            Object.prototype.hasOwnProperty.call(properties, key)
+          ),
+          (key) =>
+            validateProperty(
+              ["properties", key],
+              "forbiddenProperty",
+              properties[key],
+              obj,
+              key,
+              context
+            ),
+          context.runtime.allErrors
+        )
+    );
+  checkPatternProperties = ({ patternProperties }, obj, context) =>
+    onlyIf(
+      isTypeOfObject(obj, Object) && isTypeOfObject(patternProperties, Object),
+      () =>
+        collectErrors(
+          Object.keys(obj),
+          (key) =>
+            collectErrors(
+              matchPatterns(
+                context.runtime.getPatterns(patternProperties),
+                key
+              ),
+              (pattern) =>
+                validateProperty(
+                  ["patternProperties", pattern],
+                  "forbiddenProperty",
+                  patternProperties[pattern],
+                  obj,
+                  key,
+                  context
+                ),
+              context.runtime.allErrors
+            ),
+          context.runtime.allErrors
         )
     );
+  checkPropertyNames = ({ propertyNames }, obj, context) =>
+    onlyIf(
+      isTypeOfObject(obj, Object) &&
+        (isTypeOfObject(propertyNames, Object) || propertyNames === false),
+      () =>
+        collectErrors(
+          Object.keys(obj),
+          (key) =>
+            ((errors) =>
+              errors.length > 0 || propertyNames === false
+                ? [
+                    ...errors,
+                    {
+                      error: "invalidPropertyName",
+                      params: { propertyName: key },
+                    },
+                  ]
+                : [])(
+              propertyNames === false
+                ? []
+                : context.runtime.validate(propertyNames, key, {
+                    ...context,
+                    schemaPath: joinPointer(
+                      context.schemaPath,
+                      "propertyNames"
+                    ),
+                  }).errors
+            ),
+          context.runtime.allErrors
+        )
+    );
+  checkExtraProperties = (schema, obj, context) =>
+    ((additionalProperties) =>
+      onlyIf(
+        isTypeOfObject(obj, Object) &&
+          isTypeOfObject(additionalProperties, Object, Boolean),
+        () =>
+          validateProperties(
+            "additionalProperties",
+            "additionalProperty",
+            additionalProperties,
+            obj,
+            Object.keys(obj).filter(
+              (key) =>
+                !(
+                  isTypeOfObject(schema.properties, Object) &&
+                  Object.prototype.hasOwnProperty.call(schema.properties, key)
+                ) &&
+                !(
+                  isTypeOfObject(schema.patternProperties, Object) &&
+                  matchPatterns(
+                    context.runtime.getPatterns(schema.patternProperties),
+                    key
+                  ).length > 0
+                )
+            ),
+            context
+          )
+      ))(getAdditionalProperties(schema, context));
+  checkUnevaluatedProperties = (schema, obj, context) =>
+    onlyIf(
+      isTypeOfObject(obj, Object) &&
+        isTypeOfObject(schema.unevaluatedProperties, Object, Boolean),
+      () =>
+        ((evaluated) =>
+          validateProperties(
+            "unevaluatedProperties",
+            "unevaluatedProperty",
+            schema.unevaluatedProperties,
+            obj,
+            Object.keys(obj).filter((key) => !evaluated.includes(key)),
+            context
+          ))(collectEvaluated(getEvaluatedProperties, schema, obj, context))
+    );
+  checkUnevaluatedItems = (schema, obj, context) =>
+    onlyIf(
+      isTypeOfObject(obj, Array) &&
+        isTypeOfObject(schema.unevaluatedItems, Object, Boolean),
+      () =>
+        ((evaluated) =>
+          collectErrors(
+            obj
+              .map((cur, index) => index)
+              .filter((index) => !evaluated.includes(index)),
+            (index) =>
+              schema.unevaluatedItems === false
+                ? [
+                    {
+                      error: "unevaluatedItem",
+                      params: { unevaluatedItem: index },
+                    },
+                  ]
+                : schema.unevaluatedItems === true
+                ? []
+                : context.runtime.validate(
+                    schema.unevaluatedItems,
+                    obj[index],
+                    {
+                      ...context,
+                      instancePath: joinPointer(context.instancePath, index),
+                      schemaPath: joinPointer(
+                        context.schemaPath,
+                        "unevaluatedItems"
+                      ),
+                    }
+                  ).errors,
+            context.runtime.allErrors
+          ))(collectEvaluated(getEvaluatedItems, schema, obj, context))
+    );
+  checkReference = ({ $ref }, obj, context) =>
+    onlyIf(isTypeOfObject($ref, String), () =>
+      (([target, refContext]) =>
+        !isTypeOfObject(target, Object)
+          ? [{ error: "unresolvableReference", params: { $ref } }]
+          : isCyclicReference(target, obj, context)
+          ? []
+          : context.runtime.validate(target, obj, {
+              ...refContext,
+              stack: [...context.stack, [target, obj]],
+            }).errors)(resolveReference($ref, context))
+    );
+  checkOneOf = ({ oneOf }, obj, context) =>
+    onlyIf(
+      isArrayOfSchemas(oneOf),
+      () =>
+        ({
+          0: [{ keyword: "oneOf", error: "noValidSchemas", params: {} }],
+          1: [],
+          2: [{ error: "moreThanOneValidSchema", params: {} }],
+        }[
+          countNMT(
+            oneOf,
+            (schema, index) =>
+              context.runtime.validate(
+                schema,
+                obj,
+                composeContext(context, "oneOf", index)
+              ).isValid,
+            1
+          )
+        ])
+    );
+  checkAnyOf = ({ anyOf }, obj, context) =>
+    onlyIf(
+      isArrayOfSchemas(anyOf),
+      () =>
+        ({
+          0: [{ keyword: "anyOf", error: "noValidSchemas", params: {} }],
+          1: [],
+        }[
+          countNMT(
+            anyOf,
+            (schema, index) =>
+              context.runtime.validate(
+                schema,
+                obj,
+                composeContext(context, "anyOf", index)
+              ).isValid,
+            0
+          )
+        ])
+    );
+  checkAllOf = ({ allOf }, obj, context) =>
+    onlyIf(isArrayOfSchemas(allOf), () =>
+      collectErrors(
+        allOf,
+        (schema, index) =>
+          context.runtime.validate(
+            schema,
+            obj,
+            composeContext(context, "allOf", index)
+          ).errors,
+        context.runtime.allErrors
+      )
+    );
+  checkNot = ({ not }, obj, context) =>
+    onlyIf(isTypeOfObject(not, Object), () =>
+      context.runtime.validate(not, obj, composeContext(context, "not")).isValid
+        ? [{ error: "validAgainstNotSchema", params: {} }]
+        : []
+    );
+  checkCondition = (schema, obj, context) =>
+    onlyIf(isTypeOfObject(schema.if, Object), () =>
+      ((branch) =>
+        ((errors) =>
+          errors.length > 0
+            ? [
+                ...errors,
+                {
+                  keyword: "if",
+                  error: "notMatchConditionBranch",
+                  params: { failingKeyword: branch },
+                },
+              ]
+            : [])(
+          onlyIf(
+            isTypeOfObject(schema[branch], Object),
+            () =>
+              context.runtime.validate(
+                schema[branch],
+                obj,
+                composeContext(context, branch)
+              ).errors
+          ) ?? []
+        ))(
+        context.runtime.validate(schema.if, obj, composeContext(context, "if"))
+          .isValid
+          ? "then"
+          : "else"
+      )
+    );
+
+  checks = [
+    [this.checkNullable, "notNullableValue", []],
+    [this.checkUnknownType, "unknownType", ["type"]],
+    [this.checkWrongType, "wrongType", ["type"]],
+    [this.checkFiniteNumber, "notFiniteNumber", []],
+    [this.checkSafeInteger, "notSafeInteger", ["safeInteger"]],
+    [
+      this.checkMinBound,
+      "lessThanBound",
+      ["minimum", "minItems", "minLength", "minProperties"],
+    ],
+    [
+      this.checkMaxBound,
+      "greaterThanBound",
+      ["maximum", "maxItems", "maxLength", "maxProperties"],
+    ],
+    [
+      this.checkExclusiveMinimum,
+      "notGreaterThanExclusiveBound",
+      ["exclusiveMinimum"],
+    ],
+    [
+      this.checkExclusiveMaximum,
+      "notLessThanExclusiveBound",
+      ["exclusiveMaximum"],
+    ],
+    [this.checkMultipleOf, "notMultipleOfValue", ["multipleOf"]],
+    [this.checkInstanceOf, undefined, ["instanceOf"]],
+    [this.checkStringPattern, "doesNotMatchPattern", ["pattern"]],
+    [this.checkFormat, "notValidFormat", ["format"]],
+    [this.checkAvailableValues, "notAvailableValue", ["enum"]],
+    [this.checkConstValue, "notConstValue", ["const"]],
+    [this.checkPrefixItems, undefined, ["prefixItems"]],
+    [this.checkArrayType, undefined, ["items"]],
+    [this.checkAdditionalItems, undefined, ["additionalItems"]],
+    [this.checkContains, undefined, ["contains"]],
+    [this.checkUnique, undefined, ["uniqueItems"]],
+    [this.checkRequired, undefined, ["required"]],
+    [this.checkDependentRequired, undefined, ["dependentRequired"]],
+    [this.checkDependentSchemas, undefined, ["dependentSchemas"]],
+    [this.checkProperties, undefined, ["properties"]],
+    [this.checkPatternProperties, undefined, ["patternProperties"]],
+    [this.checkPropertyNames, undefined, ["propertyNames"]],
+    [
+      this.checkExtraProperties,
+      undefined,
+      ["properties", "patternProperties", "additionalProperties"],
+    ],
+    [this.checkReference, undefined, ["$ref"]],
+    [this.checkOneOf, undefined, ["oneOf"]],
+    [this.checkAnyOf, undefined, ["anyOf"]],
+    [this.checkAllOf, undefined, ["allOf"]],
+    [this.checkNot, undefined, ["not"]],
+    [this.checkCondition, undefined, ["if"]],
+    [this.checkUnevaluatedItems, undefined, ["unevaluatedItems"]],
+    [this.checkUnevaluatedProperties, undefined, ["unevaluatedProperties"]],
+  ];
 
   getErrorMessages = (type) => ({
     notNullableValue: "Value is null, but nullable false",
     unknownType: "Unknown type",
     wrongType: "Type is incorrect",
+    notInteger: "Number is not an integer",
+    notFiniteNumber: "Number must be finite",
+    notSafeInteger: "Integer is outside of the safe range",
     lessThanBound: {
       [Number]: "Value is less than it can be",
       [String]: "Too short string",
@@ -173,92 +1548,379 @@ class Validator {
       [Array]: "Items count more than can be",
       [Object]: "Too many properties in object",
     }[type],
+    notGreaterThanExclusiveBound:
+      "Value must be greater than exclusive minimum",
+    notLessThanExclusiveBound: "Value must be less than exclusive maximum",
+    notMultipleOfValue: "Value must be a multiple of the given number",
+    notInstanceOf: "Value is not an instance of the required class",
     doesNotMatchPattern: "String does not match pattern",
-    notValidFormat: "Format of string is not valid",
+    notValidFormat:
+      {
+        [Number]: "Format of number is not valid",
+        [String]: "Format of string is not valid",
+      }[type] ?? "Format of value is not valid",
+    unknownFormat: "Unknown format",
     notAvailableValue:
       type === Array
         ? "The enum does not support one of array elements"
         : "The enum does not support value",
+    notConstValue: "Value is not equal to the constant",
+    additionalItem: "An array cant have additional items",
     notContainsValue: "Must contain a value, but does not",
+    lessThanMinContains: "Array contains fewer matching items than required",
+    greaterThanMaxContains: "Array contains more matching items than allowed",
     notUniqueElements: "Elements of array not unique",
     undefinedRequiredProperty: "Property required, but value is undefined",
+    undefinedDependentProperty:
+      "Property required by another property, but value is undefined",
+    notMatchDependentSchema:
+      "Object does not match the schema required by the property",
     additionalProperty: "An object cant have additional properties",
+    forbiddenProperty: "Property is not allowed",
+    invalidPropertyName: "Property name is not valid",
+    unevaluatedProperty: "An object cant have unevaluated properties",
+    unevaluatedItem: "An array cant have unevaluated items",
+    unresolvableReference: "Reference can not be resolved",
     noValidSchemas: "None schemas are valid",
     moreThanOneValidSchema: "More than one shema valid for this data",
     // shema xDDDDDDD
+    validAgainstNotSchema: "Value must not be valid against the schema",
+    notMatchConditionBranch: "Value does not match the schema of the branch",
   });
+  getErrorKeywords = (type) => ({
+    notNullableValue: "nullable",
+    unknownType: "type",
+    wrongType: "type",
+    notInteger: "type",
+    notFiniteNumber: "allowNonFinite",
+    notSafeInteger: "safeInteger",
+    lessThanBound: {
+      [Number]: "minimum",
+      [String]: "minLength",
+      [Array]: "minItems",
+      [Object]: "minProperties",
+    }[type],
+    greaterThanBound: {
+      [Number]: "maximum",
+      [String]: "maxLength",
+      [Array]: "maxItems",
+      [Object]: "maxProperties",
+    }[type],
+    notGreaterThanExclusiveBound: "exclusiveMinimum",
+    notLessThanExclusiveBound: "exclusiveMaximum",
+    notMultipleOfValue: "multipleOf",
+    notInstanceOf: "instanceOf",
+    doesNotMatchPattern: "pattern",
+    notValidFormat: "format",
+    unknownFormat: "format",
+    notAvailableValue: "enum",
+    notConstValue: "const",
+    notContainsValue: "contains",
+    lessThanMinContains: "minContains",
+    greaterThanMaxContains: "maxContains",
+    notUniqueElements: "uniqueItems",
+    undefinedRequiredProperty: "required",
+    undefinedDependentProperty: "dependentRequired",
+    notMatchDependentSchema: "dependentSchemas",
+    additionalProperty: "additionalProperties",
+    forbiddenProperty: "properties",
+    invalidPropertyName: "propertyNames",
+    unevaluatedProperty: "unevaluatedProperties",
+    unevaluatedItem: "unevaluatedItems",
+    unresolvableReference: "$ref",
+    moreThanOneValidSchema: "oneOf",
+    validAgainstNotSchema: "not",
+  });
+  getPatterns = (patternProperties) =>
+    this._patterns.get(patternProperties) ??
+    ((patterns) => (this._patterns.set(patternProperties, patterns), patterns))(
+      compilePatterns(patternProperties)
+    );
+  getChecks = (schema) => (
+    isTypeOfObject(schema.patternProperties, Object) &&
+      this.getPatterns(schema.patternProperties),
+    this.checks.filter(
+      ([, , keywords]) =>
+        keywords.length === 0 ||
+        keywords.some((keyword) => schema[keyword] !== undefined)
+    )
+  );
+  getRuntime = (validate) => ({
+    validate,
+    getSchema: (uri) => this._schemas[uri]?.schema,
+    allErrors: this._allErrors,
+    undefinedAsMissing: this._undefinedAsMissing,
+    strict: this._strict,
+    getFormat: (name) =>
+      onlyIf(
+        Object.prototype.hasOwnProperty.call(this._formats, name),
+        () => this._formats[name]
+      ),
+    getPatterns: this.getPatterns,
+    getErrorMessages: this.getErrorMessages,
+    getErrorKeywords: this.getErrorKeywords,
+  });
+  validateSchema = (schema, obj, context) =>
+    ((context) =>
+      toResult(
+        onlyIf(isTypeOfObject(schema, Object), () =>
+          runChecks(this.getChecks(schema), schema, obj, context)
+        )
+      ))(enterResource(schema, context));
   validate = (schema = {}, obj) =>
-    ((errors) => ({ errors, isValid: errors?.length === 0 }))(
-      onlyIf(isTypeOfObject(schema, Object), () =>
-        match(
-          {
-            predicate: () =>
-              this.checkArrayType({
-                items: { type: "object" },
-                obj: schema.oneOf,
-              }),
-            body: () =>
-              ({
-                0: [this.getErrorMessages().noValidSchemas],
-                1: [],
-                2: [this.getErrorMessages().moreThanOneValidSchema],
-              }[
-                countNMT(
-                  schema.oneOf,
-                  (type) => this.validate(type, obj).isValid,
-                  1
-                )
-              ]),
+    isTypeOfObject(schema, String)
+      ? this.validate({ $ref: schema }, obj)
+      : this.validateSchema(
+          schema,
+          obj,
+          createContext(schema, this.getRuntime(this.validateSchema))
+        );
+  compileSchema = (schema) =>
+    !isTypeOfObject(schema, Object)
+      ? () => toResult()
+      : this._compiled.get(schema) ??
+        ((validate) => (this._compiled.set(schema, validate), validate))(
+          ((checks) => (obj, context) =>
+            ((context) => toResult(runChecks(checks, schema, obj, context)))(
+              enterResource(schema, context)
+            ))(this.getChecks(schema))
+        );
+  compileRoot = (schema) =>
+    ((validate, context) => (obj) => validate(obj, context))(
+      this.compileSchema(schema),
+      createContext(
+        schema,
+        this.getRuntime((schema, obj, context) =>
+          this.compileSchema(schema)(obj, context)
+        )
+      )
+    );
+  compile = (schema = {}) =>
+    isTypeOfObject(schema, String)
+      ? this._compiledIds.get(schema) ??
+        ((validate) => (this._compiledIds.set(schema, validate), validate))(
+          this.compileRoot({ $ref: schema })
+        )
+      : !isTypeOfObject(schema, Object)
+      ? this.compileRoot(schema)
+      : this._compiledRoots.get(schema) ??
+        ((validate) => (this._compiledRoots.set(schema, validate), validate))(
+          this.compileRoot(schema)
+        );
+  getCheckerName = (checker) =>
+    Object.keys(this).find((key) => this[key] === checker);
+  generateChecks = (checks) =>
+    `[${checks
+      .map(
+        ([checker, error]) =>
+          `[${this.getCheckerName(checker)}, ${JSON.stringify(error)}]`
+      )
+      .join(", ")}]`;
+  generate = (schema, { module = "commonjs" } = {}) =>
+    ((entries) =>
+      [
+        ...Object.keys(runtimeHelpers).map(
+          (name) =>
+            `const ${name} = ${
+              isTypeOfObject(runtimeHelpers[name], Function)
+                ? runtimeHelpers[name]
+                : serialize(runtimeHelpers[name])
+            };`
+        ),
+        ...[
+          ...new Set(
+            entries.flatMap(([, , checks]) =>
+              checks.map(([checker]) => checker)
+            )
+          ),
+        ].map(
+          (checker) => `const ${this.getCheckerName(checker)} = ${checker};`
+        ),
+        `const getErrorMessages = ${this.getErrorMessages};`,
+        `const getErrorKeywords = ${this.getErrorKeywords};`,
+        `const formats = {${Object.keys(this._formats)
+          .map(
+            (name) =>
+              `${JSON.stringify(name)}: {validate: ${
+                this._formats[name].validate
+              }, type: ${JSON.stringify(this._formats[name].type)}, async: ${
+                this._formats[name].async
+              }}`
+          )
+          .join(", ")}};`,
+        `const schema = ${serialize(schema)};`,
+        `const schemas = {${Object.keys(this._schemas)
+          .map(
+            (uri) =>
+              `${JSON.stringify(uri)}: ${serialize(this._schemas[uri].schema)}`
+          )
+          .join(", ")}};`,
+        `const compiled = new Map(
+  [${entries
+    .map(
+      ([root, path, checks]) =>
+        `[${root}, ${JSON.stringify(path)}, ${this.generateChecks(checks)}]`
+    )
+    .join(",\n  ")}].map(([root, path, checks]) => [
+    path.reduce((prev, cur) => prev[cur], root),
+    checks,
+  ])
+);`,
+        "const patterns = new WeakMap();",
+        `const runtime = {
+  validate: (schema, obj, context) =>
+    ((context) =>
+      toResult(
+        onlyIf(isTypeOfObject(schema, Object), () =>
+          runChecks(compiled.get(schema), schema, obj, context)
+        )
+      ))(enterResource(schema, context)),
+  getSchema: (uri) => schemas[uri],
+  allErrors: ${this._allErrors},
+  undefinedAsMissing: ${this._undefinedAsMissing},
+  strict: ${this._strict},
+  getFormat: (name) =>
+    onlyIf(
+      Object.prototype.hasOwnProperty.call(formats, name),
+      () => formats[name]
+    ),
+  getPatterns: (patternProperties) =>
+    patterns.get(patternProperties) ??
+    ((compiled) => (patterns.set(patternProperties, compiled), compiled))(
+      compilePatterns(patternProperties)
+    ),
+  getErrorMessages,
+  getErrorKeywords,
+};`,
+        "const validate = (obj) =>\n  runtime.validate(schema, obj, createContext(schema, runtime));",
+        module === "esm"
+          ? "export default validate;"
+          : "module.exports = validate;",
+      ].join("\n\n"))(
+      [
+        ["schema", schema],
+        ...Object.keys(this._schemas).map((uri) => [
+          `schemas[${JSON.stringify(uri)}]`,
+          this._schemas[uri].schema,
+        ]),
+      ].flatMap(([root, schema]) =>
+        collectObjects(schema).map(([path, object]) => [
+          root,
+          path,
+          this.getChecks(object),
+        ])
+      )
+    );
+  registerSchema = (schema, id, replace) =>
+    ((uri) =>
+      ((schemas, resources) =>
+        ((duplicate) =>
+          duplicate !== undefined
+            ? raise(`Schema with id "${duplicate}" already exists`)
+            : (this._compiledIds.clear(),
+              (this._schemas = Object.keys(resources).reduce(
+                (prev, cur) => ({
+                  ...prev,
+                  [cur]: { id: uri, schema: resources[cur] },
+                }),
+                schemas
+              )),
+              this))(
+          Object.keys(resources).find((key) => schemas[key] !== undefined)
+        ))(
+        replace ? withoutSchema(this._schemas, uri) : this._schemas,
+        mergeResources(collectResources(schema, uri), { [uri]: schema })
+      ))(
+      isTypeOfObject(id, String)
+        ? normalizeId(id)
+        : raise("Schema id is required")
+    );
+  addSchema = (schema, id = schema?.$id) =>
+    this.registerSchema(schema, id, false);
+  removeSchema = (id) =>
+    ((uri) =>
+      this._schemas[uri] === undefined
+        ? raise(`Schema with id "${uri}" is not registered`)
+        : this._schemas[uri].id !== uri
+        ? raise(
+            `Schema with id "${uri}" is embedded in "${this._schemas[uri].id}", remove "${this._schemas[uri].id}" instead`
+          )
+        : (this._compiledIds.clear(),
+          (this._schemas = withoutSchema(this._schemas, uri)),
+          this))(normalizeId(id));
+  replaceSchema = (schema, id = schema?.$id) =>
+    this.registerSchema(schema, id, true);
+  addFormat = (name, validate, { type = "string", async = false } = {}) =>
+    !isTypeOfObject(name, String)
+      ? raise("Format name is required")
+      : !isTypeOfObject(validate, RegExp, Function)
+      ? raise(`Format "${name}" must be a regular expression or a function`)
+      : !typeNames.includes(type)
+      ? raise(`Unknown type "${type}" of format "${name}"`)
+      : isTypeOfObject(validate, RegExp) && async
+      ? raise(`Format "${name}" must be a function to be async`)
+      : ((this._formats = {
+          ...this._formats,
+          [name]: {
+            validate: isTypeOfObject(validate, RegExp)
+              ? new RegExp(validate.source, validate.flags.replace(/[gy]/g, ""))
+              : validate,
+            type,
+            async,
           },
-          {
-            predicate: () =>
-              this.checkArrayType({
-                items: { type: "object" },
-                obj: schema.anyOf,
-              }),
-            body: () =>
-              ({
-                0: [this.getErrorMessages().noValidSchemas],
-                1: [],
-              }[
-                countNMT(
-                  schema.anyOf,
-                  (type) => this.validate(type, obj).isValid,
-                  0
+        }),
+        this);
+  validateAsync = (schema = {}, obj, formatResults = new Map()) =>
+    isTypeOfObject(schema, String)
+      ? this.validateAsync({ $ref: schema }, obj, formatResults)
+      : ((missingFormats) =>
+          new Promise((resolve) =>
+            resolve(
+              this.validateSchema(
+                schema,
+                obj,
+                createContext(schema, {
+                  ...this.getRuntime(this.validateSchema),
+                  formatResults,
+                  missingFormats,
+                })
+              )
+            )
+          ).then((result) =>
+            missingFormats.length === 0
+              ? result
+              : Promise.all(
+                  missingFormats
+                    .filter(
+                      ([name, value], index) =>
+                        missingFormats.findIndex(
+                          ([otherName, otherValue]) =>
+                            otherName === name && Object.is(otherValue, value)
+                        ) === index
+                    )
+                    .map(([name, value]) =>
+                      new Promise((resolve) =>
+                        resolve(this._formats[name].validate(value))
+                      ).then((isValid) => [name, value, isValid === true])
+                    )
+                ).then((entries) =>
+                  this.validateAsync(
+                    schema,
+                    obj,
+                    entries.reduce(
+                      (prev, [name, value, isValid]) =>
+                        prev.set(
+                          name,
+                          new Map([...(prev.get(name) ?? []), [value, isValid]])
+                        ),
+                      formatResults
+                    )
+                  )
                 )
-              ]),
-          },
-          {
-            predicate: () => true,
-            body: () =>
-              ((makeError, messages) =>
-                compose(
-                  ...[
-                    [this.checkNullable, messages.notNullableValue],
-                    [this.checkUnknownType, messages.unknownType],
-                    [this.checkWrongType, messages.wrongType],
-                    [this.checkMinBound, messages.lessThanBound],
-                    [this.checkMaxBound, messages.greaterThanBound],
-                    [this.checkStringPattern, messages.doesNotMatchPattern],
-                    [this.checkStringFormat, messages.notValidFormat],
-                    [this.checkAvailableValues, messages.notAvailableValue],
-                    [this.checkArrayType, messages.wrongType],
-                    [this.checkContains, messages.notContainsValue],
-                    [this.checkUnique, messages.notUniqueElements],
-                    [this.checkRequired, messages.undefinedRequiredProperty],
-                    [this.checkProperties, messages.wrongType],
-                    [this.checkExtraProperties, messages.additionalProperty],
-                  ].map(makeError)
-                )([]))(
-                ([validator, message]) => (errors) =>
-                  validator({ ...schema, obj }) === false
-                    ? [...errors, message]
-                    : errors,
-                this.getErrorMessages(getType(obj))
-              ),
-          }
-        )()
-      )
+          ))([]);
+  isValidAsync = (schema = {}, obj) =>
+    this.validateAsync(schema, obj).then(
+      ({ errors }) => (this._errors = errors).length === 0
     );
   isValid = (schema = {}, obj) =>
     (this._errors = this.validate(schema, obj).errors).length === 0;